@@ -0,0 +1,173 @@
+/* eslint-disable no-console */
+
+'use strict';
+
+/**
+ * upload a small file to a local stand-in of NetEase API and NOS, and check
+ * requests are sent in order: check -> token -> chunks -> info -> publish,
+ * with `context` of each chunk passed to the next one
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+
+const srcMainDir = path.join(__dirname, '../src/main');
+
+require('@babel/register')({
+    babelrc: false,
+    only: [
+        (filename) => filename.startsWith(srcMainDir)
+    ],
+    plugins: [
+        '@babel/plugin-proposal-class-properties',
+        '@babel/plugin-transform-modules-commonjs',
+        ['@babel/plugin-proposal-decorators', { decoratorsBeforeExport: true }]
+    ]
+});
+
+// defined by `index.dev.js` when running the app, required by `util/constants`
+process.env.MAIN_URL = 'http://localhost';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encm-upload-'));
+
+/**
+ * put `exports` in module cache, so it's returned when `id` is required
+ * @param {string} id
+ * @param {any} exports
+ */
+function provide(id, exports) {
+    const filename = require.resolve(id);
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// settings module reads `app.getPath` when loaded, and the check runs in plain node
+provide('electron', { app: { getPath: () => tmpDir } });
+// media/flac imports main API, which starts servers when loaded
+provide('../src/main/api', { getVersionName: () => Promise.resolve('0.0.0') });
+
+const { default: HttpClient } = require('../src/main/api/httpClient');
+const { default: CloudUploader, CloudUploadState } = require('../src/main/api/cloudUploader');
+
+const ChunkSize = 4;
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {any} data
+ */
+function sendJSON(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * @param {boolean} needUpload
+ */
+function createServer(needUpload) {
+    /** @type {{ path: string, query: URLSearchParams, body: Buffer }[]} */
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = Buffer.concat(chunks);
+            requests.push({ path: url.pathname, query: url.searchParams, body });
+            switch (url.pathname) {
+                case '/weapi/cloud/upload/check':
+                    return sendJSON(res, { code: 200, needUpload, songId: '100' });
+                case '/weapi/nos/token/alloc':
+                    return sendJSON(res, { code: 200, result: { objectKey: 'obj/key', resourceId: 200, token: 'nos-token' } });
+                case '/lbs':
+                    return sendJSON(res, { upload: [`http://localhost:${server.address().port}`] });
+                case '/weapi/upload/cloud/info/v2':
+                    return sendJSON(res, { code: 200, songId: '300' });
+                case '/weapi/cloud/pub/v2':
+                    return sendJSON(res, { code: 200 });
+            }
+            if (url.pathname.startsWith('/jd-musicrep-privatecloud-audio-public/')) {
+                const offset = Number(url.searchParams.get('offset'));
+                return sendJSON(res, { context: `ctx-${offset}`, offset: offset + body.length });
+            }
+            res.writeHead(404);
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests }));
+    });
+}
+
+/**
+ * @param {boolean} needUpload
+ * @param {Buffer} content
+ */
+async function runUpload(needUpload, content) {
+    const { server, requests } = await createServer(needUpload);
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const file = path.join(tmpDir, 'test.mp3');
+    fs.writeFileSync(file, content);
+    const uploader = new CloudUploader(new HttpClient(origin), { lbsURL: `${origin}/lbs`, chunkSize: ChunkSize });
+    try {
+        /** @type {Types.CloudUploadItem} */
+        const item = await new Promise(resolve => {
+            uploader.on('update', i => {
+                if (i.state === CloudUploadState.Completed || i.state === CloudUploadState.Failed) resolve(i);
+            });
+            uploader.add([file]);
+        });
+        return { item, requests };
+    } finally {
+        server.close();
+    }
+}
+
+async function checkChunkedUpload() {
+    const content = Buffer.from('0123456789');
+    const { item, requests } = await runUpload(true, content);
+    assert.strictEqual(item.state, CloudUploadState.Completed, item.error);
+    assert.strictEqual(item.songId, 300);
+    const chunkPath = '/jd-musicrep-privatecloud-audio-public/obj%2Fkey';
+    assert.deepStrictEqual(requests.map(r => r.path), [
+        '/weapi/cloud/upload/check',
+        '/weapi/nos/token/alloc',
+        '/lbs',
+        chunkPath,
+        chunkPath,
+        chunkPath,
+        '/weapi/upload/cloud/info/v2',
+        '/weapi/cloud/pub/v2'
+    ]);
+    const chunks = requests.filter(r => r.path === chunkPath);
+    assert.deepStrictEqual(chunks.map(r => r.query.get('offset')), ['0', '4', '8']);
+    assert.deepStrictEqual(chunks.map(r => r.query.get('context')), [null, 'ctx-0', 'ctx-4']);
+    assert.deepStrictEqual(chunks.map(r => r.query.get('complete')), ['false', 'false', 'true']);
+    assert.ok(Buffer.concat(chunks.map(r => r.body)).equals(content), 'uploaded chunks differ from file');
+}
+
+async function checkSkipUpload() {
+    const { item, requests } = await runUpload(false, Buffer.from('0123456789'));
+    assert.strictEqual(item.state, CloudUploadState.Completed, item.error);
+    assert.deepStrictEqual(requests.map(r => r.path), [
+        '/weapi/cloud/upload/check',
+        '/weapi/nos/token/alloc',
+        '/weapi/upload/cloud/info/v2',
+        '/weapi/cloud/pub/v2'
+    ]);
+}
+
+(async () => {
+    try {
+        await checkChunkedUpload();
+        console.log('ok - file uploaded in chunks with context');
+        await checkSkipUpload();
+        console.log('ok - file upload skipped when not needed');
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+})();
@@ -0,0 +1,157 @@
+/* eslint-disable no-console */
+
+'use strict';
+
+/**
+ * export MPRIS interfaces on a private dbus session bus, and check methods
+ * and signals of `TrackList` interface from another connection
+ */
+
+const path = require('path');
+const assert = require('assert');
+const { spawn } = require('child_process');
+
+const srcMainDir = path.join(__dirname, '../src/main');
+
+require('@babel/register')({
+    babelrc: false,
+    only: [
+        (filename) => filename.startsWith(srcMainDir)
+    ],
+    plugins: [
+        '@babel/plugin-proposal-class-properties',
+        '@babel/plugin-transform-modules-commonjs',
+        ['@babel/plugin-proposal-decorators', { decoratorsBeforeExport: true }]
+    ]
+});
+
+const { sessionBus } = require('dbus-next');
+
+const ServiceName = 'org.mpris.MediaPlayer2.ElectronNCM';
+const ObjectPath = '/org/mpris/MediaPlayer2';
+const TrackListInterface = 'org.mpris.MediaPlayer2.TrackList';
+const NoTrack = '/org/mpris/MediaPlayer2/TrackList/NoTrack';
+
+const Tracks = [
+    { id: 1001, name: '第一首', duration: 200000, artistName: '歌手甲', album: { name: '专辑甲' }, cd: '1', no: 1 },
+    { id: 1002, name: '第二首', duration: 180000, artistName: '歌手乙', album: { name: '专辑乙' }, cd: '1', no: 2 },
+    // tracks in local library have negative ids
+    { id: -5, name: '本地歌曲', duration: 240000, artistName: '', album: { name: '' }, cd: '', no: 0 }
+];
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {string} what
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, what) {
+    return Promise.race([
+        promise,
+        delay(5000).then(() => { throw new Error(`timeout waiting for ${what}`); })
+    ]);
+}
+
+/**
+ * @returns {Promise<{ daemon: import('child_process').ChildProcess, address: string }>}
+ */
+function startBus() {
+    return new Promise((resolve, reject) => {
+        const daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address'], {
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        let output = '';
+        daemon.on('error', reject);
+        daemon.stdout.on('data', chunk => {
+            output += chunk;
+            const newline = output.indexOf('\n');
+            if (newline >= 0) resolve({ daemon, address: output.slice(0, newline).trim() });
+        });
+    });
+}
+
+/**
+ * @param {import('dbus-next').MessageBus} bus
+ * @returns {Promise<import('dbus-next').ClientInterface>}
+ */
+async function getTrackList(bus) {
+    // name is requested asynchronously after interfaces exported
+    for (let i = 0; ; i++) {
+        try {
+            const obj = await bus.getProxyObject(ServiceName, ObjectPath);
+            return obj.getInterface(TrackListInterface);
+        } catch (e) {
+            if (i >= 50) throw e;
+            await delay(100);
+        }
+    }
+}
+
+/**
+ * @param {import('eventemitter3').EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise<any[]>} event arguments
+ */
+function once(emitter, event) {
+    return withTimeout(new Promise(resolve => emitter.once(event, (...args) => resolve(args))), event);
+}
+
+async function checkTrackList(mpris, trackList) {
+    const replaced = new Promise(resolve => trackList.once('TrackListReplaced', (...args) => resolve(args)));
+    // wait for match rule of signal to be added
+    await delay(200);
+    mpris.emit('tracklist', Tracks, true);
+    const [tracks, current] = await withTimeout(replaced, 'TrackListReplaced');
+    assert.deepStrictEqual(tracks, [`${ObjectPath}/1001`, `${ObjectPath}/1002`, `${ObjectPath}/local_5`]);
+    assert.strictEqual(current, NoTrack);
+    console.log('ok - TrackListReplaced');
+
+    const metadata = await trackList.GetTracksMetadata([`${ObjectPath}/local_5`, `${ObjectPath}/404`, `${ObjectPath}/1002`]);
+    assert.strictEqual(metadata.length, 2, 'unknown track should be skipped');
+    assert.strictEqual(metadata[0]['mpris:trackid'].value, `${ObjectPath}/local_5`);
+    assert.strictEqual(metadata[0]['xesam:title'].value, '本地歌曲');
+    assert.deepStrictEqual(metadata[0]['xesam:artist'].value, ['未知歌手']);
+    assert.strictEqual(metadata[1]['mpris:trackid'].value, `${ObjectPath}/1002`);
+    assert.strictEqual(metadata[1]['mpris:length'].value, BigInt(180000 * 1e3));
+    console.log('ok - GetTracksMetadata');
+
+    const goto = once(mpris, 'dbus:goto');
+    await trackList.GoTo(`${ObjectPath}/local_5`);
+    assert.deepStrictEqual(await goto, [-5]);
+    console.log('ok - GoTo');
+
+    const add = once(mpris, 'dbus:addtrack');
+    await trackList.AddTrack('https://music.163.com/song?id=1003', `${ObjectPath}/1001`, true);
+    assert.deepStrictEqual(await add, ['https://music.163.com/song?id=1003', 1001, true]);
+    console.log('ok - AddTrack');
+
+    const remove = once(mpris, 'dbus:removetrack');
+    await trackList.RemoveTrack(`${ObjectPath}/1002`);
+    assert.deepStrictEqual(await remove, [1002]);
+    console.log('ok - RemoveTrack');
+}
+
+(async () => {
+    const { daemon, address } = await startBus();
+    // `mpris` connects to session bus when loaded
+    process.env.DBUS_SESSION_BUS_ADDRESS = address;
+    const { default: mpris } = require('../src/main/mpris/mpris');
+    const bus = sessionBus();
+    try {
+        await checkTrackList(mpris, await getTrackList(bus));
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+    } finally {
+        bus.disconnect();
+        await mpris.destroy().catch(() => { /* bus is going away anyway */ });
+        daemon.kill();
+    }
+})();
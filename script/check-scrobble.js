@@ -0,0 +1,196 @@
+/* eslint-disable no-console */
+
+'use strict';
+
+/**
+ * submit listens to a local stand-in of ListenBrainz, and check request
+ * bodies, then check listens queued while server is down are submitted
+ * in order once it's back
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+
+const srcMainDir = path.join(__dirname, '../src/main');
+
+require('@babel/register')({
+    babelrc: false,
+    only: [
+        (filename) => filename.startsWith(srcMainDir)
+    ],
+    plugins: [
+        '@babel/plugin-proposal-class-properties',
+        '@babel/plugin-transform-modules-commonjs',
+        ['@babel/plugin-proposal-decorators', { decoratorsBeforeExport: true }]
+    ]
+});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encm-scrobble-'));
+
+/**
+ * put `exports` in module cache, so it's returned when `id` is required
+ * @param {string} id
+ * @param {any} exports
+ */
+function provide(id, exports) {
+    const filename = require.resolve(id);
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// settings module reads `app.getPath` when loaded, and the check runs in plain node
+provide('electron', { app: { getPath: () => tmpDir, getVersion: () => '0.0.0' } });
+
+const { ListenBrainz } = require('../src/main/api/scrobbler');
+const { default: PlayRecordQueue } = require('../src/main/api/playRecord');
+
+const Token = 'test-token';
+
+const OnlineTrack = {
+    id: 1001,
+    name: '在线歌曲',
+    artistName: '歌手甲',
+    album: { name: '专辑甲' },
+    duration: 200000,
+    no: 3
+};
+
+const LocalTrack = {
+    id: -5,
+    name: '本地歌曲',
+    artistName: '歌手乙',
+    album: { name: '' },
+    duration: 0,
+    no: 0,
+    localPath: '/music/local.mp3'
+};
+
+function createServer() {
+    const state = {
+        /** @type {{ path: string, authorization: string, body: any }[]} */
+        requests: [],
+        down: false
+    };
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            state.requests.push({
+                path: req.url,
+                authorization: req.headers.authorization,
+                body: JSON.parse(Buffer.concat(chunks).toString())
+            });
+            res.writeHead(state.down ? 503 : 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(state.down ? { code: 503, error: 'down for maintenance' } : { status: 'ok' }));
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, state }));
+    });
+}
+
+/**
+ * @param {PlayRecordQueue} queue
+ */
+function waitIdle(queue) {
+    return new Promise(resolve => {
+        const check = () => queue.flushing ? setTimeout(check, 10) : resolve();
+        check();
+    });
+}
+
+async function checkNowPlaying(state) {
+    await ListenBrainz.nowPlaying(OnlineTrack);
+    const [req] = state.requests.splice(0);
+    assert.strictEqual(req.path, '/1/submit-listens');
+    assert.strictEqual(req.authorization, `Token ${Token}`);
+    assert.deepStrictEqual(req.body, {
+        listen_type: 'playing_now',
+        payload: [{
+            track_metadata: {
+                artist_name: '歌手甲',
+                track_name: '在线歌曲',
+                release_name: '专辑甲',
+                additional_info: {
+                    duration_ms: 200000,
+                    tracknumber: 3,
+                    submission_client: 'Electron NCM',
+                    submission_client_version: '0.0.0',
+                    music_service: 'music.163.com',
+                    origin_url: 'https://music.163.com/song?id=1001'
+                }
+            }
+        }]
+    });
+}
+
+async function checkQueueReplay(state) {
+    const queuePath = path.join(tmpDir, 'scrobbleQueue.json');
+    const submit = batch => ListenBrainz.submit(batch.map(({ json }) => json));
+    const listenedAt = [1700000000000, 1700000300000];
+
+    state.down = true;
+    const queue = new PlayRecordQueue(queuePath, submit);
+    queue.start();
+    queue.add('listen', ListenBrainz.listen(OnlineTrack, listenedAt[0]));
+    await waitIdle(queue);
+    queue.add('listen', ListenBrainz.listen(LocalTrack, listenedAt[1]));
+    await waitIdle(queue);
+    clearTimeout(queue.timer);
+    const failed = state.requests.splice(0);
+    assert.deepStrictEqual(failed.map(r => r.body.listen_type), ['single', 'single']);
+    assert.deepStrictEqual(failed[1].body.payload, [{
+        listened_at: 1700000300,
+        track_metadata: {
+            artist_name: '歌手乙',
+            track_name: '本地歌曲',
+            additional_info: { submission_client: 'Electron NCM', submission_client_version: '0.0.0' }
+        }
+    }]);
+    assert.deepStrictEqual(queue.stats(), { pending: 2, failed: 0 });
+
+    // server is back after app restarted and retry delay passed
+    state.down = false;
+    const now = Date.now;
+    Date.now = () => now() + 60 * 60 * 1000;
+    try {
+        const replay = new PlayRecordQueue(queuePath, submit);
+        assert.deepStrictEqual(replay.stats(), { pending: 2, failed: 0 });
+        replay.start();
+        await waitIdle(replay);
+        clearTimeout(replay.timer);
+        const [req, ...rest] = state.requests.splice(0);
+        assert.strictEqual(rest.length, 0, 'queued listens should be submitted in one request');
+        assert.strictEqual(req.body.listen_type, 'import');
+        assert.deepStrictEqual(req.body.payload.map(l => l.listened_at), listenedAt.map(t => t / 1000));
+        assert.deepStrictEqual(req.body.payload.map(l => l.track_metadata.track_name), ['在线歌曲', '本地歌曲']);
+        assert.deepStrictEqual(replay.stats(), { pending: 0, failed: 0 });
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(queuePath, 'utf8')), []);
+    } finally {
+        Date.now = now;
+    }
+}
+
+(async () => {
+    const { server, state } = await createServer();
+    fs.writeFileSync(path.join(tmpDir, 'settings.json'), JSON.stringify({
+        scrobbleEnabled: true,
+        // trailing slash should be ignored
+        scrobbleUrl: `http://127.0.0.1:${server.address().port}/`,
+        scrobbleToken: Token
+    }));
+    try {
+        await checkNowPlaying(state);
+        console.log('ok - now playing submitted');
+        await checkQueueReplay(state);
+        console.log('ok - queued listens submitted in order after server is back');
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+    } finally {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+})();
@@ -17,6 +17,9 @@ let cfg = {
     entry: {
         renderer: [
             './main.js'
+        ],
+        lyric: [
+            './lyric/main.js'
         ]
     },
     output: {
@@ -64,7 +67,13 @@ let cfg = {
     plugins: [
         new HtmlWebpackPlugin({
             filename: 'index.html',
-            title: config.productName
+            title: config.productName,
+            chunks: ['renderer']
+        }),
+        new HtmlWebpackPlugin({
+            filename: 'lyric.html',
+            title: `Desktop Lyric - ${config.productName}`,
+            chunks: ['lyric']
         }),
         new VueLoaderPlugin()
     ],
@@ -102,13 +111,13 @@ if (isProd) {
     );
     // https://github.com/jantimon/html-webpack-plugin/blob/v4.5.0/index.js#L74
     // https://github.com/jantimon/html-webpack-plugin/blob/v4.5.0/index.js#L766
-    cfg.plugins.find(p => p instanceof HtmlWebpackPlugin).userOptions.meta = {
+    cfg.plugins.filter(p => p instanceof HtmlWebpackPlugin).forEach(p => p.userOptions.meta = {
         viewport: false,
         csp: {
             'http-equiv': 'Content-Security-Policy',
             content: `script-src 'self'; media-src http://localhost:* https://*.vod.126.net; img-src 'self' https://*.music.126.net https://music.163.com`
         }
-    };
+    });
     cfg.plugins.push(
         new MiniCSSExtractPlugin()
     );
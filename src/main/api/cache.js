@@ -31,6 +31,8 @@ class Cache {
             }
 
             this.path = path;
+            /** max bytes of internal files, `0` means unlimited */
+            this.limit = 0;
         } else {
             throw new Error('Cache path unvalid');
         }
@@ -121,6 +123,29 @@ class Cache {
         return false;
     }
 
+    /**
+     * find the highest quality cached or downloaded for music id
+     * @param {number} id
+     * @returns {Promise<Types.MusicQuality | false>}
+     */
+    async findAvailable(id) {
+        for (const quality of ['ex', 'h', 'm', 'l']) {
+            if (await this.has(`${id}${quality}`)) return quality;
+        }
+        return false;
+    }
+
+    /**
+     * find downloaded file of music id, higher quality first
+     * @param {number} id
+     * @returns {string | undefined} file path
+     */
+    findExternal(id) {
+        return ['ex', 'h', 'm', 'l']
+            .map(quality => this.external.get(`${id}${quality}`))
+            .find(Boolean);
+    }
+
     /**
      * whether music id with quality exists
      * @param {string} fileName
@@ -135,6 +160,86 @@ class Cache {
         }
     }
 
+    /**
+     * mark file as recently used, used for LRU eviction
+     * @param {string} fileName
+     */
+    async touch(fileName) {
+        if (this.external.has(fileName)) return;
+        const now = new Date();
+        try {
+            await fsp.utimes(this.internalPath(fileName), now, now);
+        } catch (e) {
+            // file may be evicted or removed
+        }
+    }
+
+    /**
+     * stat all internal cache files, external files are never included
+     * @returns {Promise<{ name: string, size: number, mtime: number }[]>}
+     */
+    async listInternal() {
+        const externalPaths = new Set(this.external.values());
+        const names = await fsp.readdir(this.path);
+        const files = await Promise.all(names.map(async name => {
+            const fullPath = this.internalPath(name);
+            if (externalPaths.has(fullPath)) return null;
+            try {
+                const stat = await fsp.stat(fullPath);
+                return stat.isFile() ? { name, size: stat.size, mtime: stat.mtimeMs } : null;
+            } catch (e) {
+                return null;
+            }
+        }));
+        return files.filter(f => f !== null);
+    }
+
+    /**
+     * disk usage of internal cache files, grouped by quality
+     * @returns {Promise<Record<Types.MusicQuality | 'other', number>>}
+     */
+    async getUsage() {
+        const usage = { ex: 0, h: 0, m: 0, l: 0, other: 0 };
+        for (const { name, size } of await this.listInternal()) {
+            const match = name.match(/^\d+(ex|h|m|l)$/);
+            usage[match ? match[1] : 'other'] += size;
+        }
+        return usage;
+    }
+
+    /**
+     * @param {number} limit max bytes of internal files, `0` means unlimited
+     */
+    setLimit(limit) {
+        this.limit = limit;
+    }
+
+    /**
+     * remove least recently used files until total size is within limit
+     * @param {...string} keep file names that should not be removed
+     * @returns {Promise<string[]>} removed file names
+     */
+    async evict(...keep) {
+        if (!this.limit) return [];
+        const files = await this.listInternal();
+        let total = files.reduce((sum, f) => sum + f.size, 0);
+        if (total <= this.limit) return [];
+        files.sort((a, b) => a.mtime - b.mtime);
+        const removed = [];
+        for (const file of files) {
+            if (total <= this.limit) break;
+            if (keep.includes(file.name)) continue;
+            try {
+                await this.rm(file.name);
+                total -= file.size;
+                removed.push(file.name);
+            } catch (e) {
+                // file may be removed already
+            }
+        }
+        return removed;
+    }
+
     /**
      * delete file name from cache
      * would not delete downloaded file
@@ -0,0 +1,235 @@
+import fs, { promises as fsp } from 'fs';
+import path from 'path';
+import qs from 'querystring';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'eventemitter3';
+
+import debug from 'debug';
+import fetch from 'electron-fetch';
+
+import { AudioTypes, readLocalTrack } from './localLibrary';
+
+const d = debug('CloudUploader');
+
+/**
+ * @enum {Types.CloudUploadState}
+ */
+export const CloudUploadState = {
+    Pending: 'pending',
+    Hashing: 'hashing',
+    Uploading: 'uploading',
+    Submitting: 'submitting',
+    Completed: 'completed',
+    Failed: 'failed'
+};
+
+/** extension name -> content type of files accepted by private cloud */
+const UploadTypes = {
+    ...AudioTypes,
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.ape': 'audio/ape',
+    '.wma': 'audio/x-ms-wma'
+};
+
+/** NOS object storage accepts chunks no larger than 4 MiB */
+const ChunkSize = 4 * 1024 * 1024;
+
+const Bucket = 'jd-musicrep-privatecloud-audio-public';
+
+/** returns upload hosts of NOS bucket */
+const LbsURL = `https://wanproxy.127.net/lbs?version=1.0&bucketname=${Bucket}`;
+
+/** private cloud does not care about real bitrate of uploaded files */
+const Bitrate = '999000';
+
+/**
+ * @param {string} file
+ * @returns {Promise<string>} md5 in hex
+ */
+function fileMd5(file) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('md5');
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * @param {any} res API response
+ * @param {string} step
+ */
+function assertOk(res, step) {
+    if (res.code !== 200) {
+        throw new Error(`${step}: ${res.message || res.msg || `code ${res.code}`}`);
+    }
+}
+
+export default class CloudUploader extends EventEmitter {
+    /**
+     * @param {import('./httpClient').default} client
+     * @param {{ lbsURL?: string, chunkSize?: number }} [options] could be replaced by a local server for testing
+     */
+    constructor(client, { lbsURL = LbsURL, chunkSize = ChunkSize } = {}) {
+        super();
+        this.client = client;
+        this.lbsURL = lbsURL;
+        this.chunkSize = chunkSize;
+        /** @type {Types.CloudUploadItem[]} */
+        this.queue = [];
+        this.running = false;
+    }
+
+    /**
+     * @param {Types.CloudUploadItem} item
+     * @param {Partial<Types.CloudUploadItem>} changes
+     */
+    update(item, changes) {
+        Object.assign(item, changes);
+        this.emit('update', { ...item });
+    }
+
+    /**
+     * queue files to upload one by one, state changes are emitted as `update`
+     * @param {string[]} files
+     * @returns {Types.CloudUploadItem[]}
+     */
+    add(files) {
+        const items = files.map(file => {
+            /** @type {Types.CloudUploadItem} */
+            const item = {
+                file,
+                name: path.basename(file),
+                state: CloudUploadState.Pending,
+                size: 0,
+                uploaded: 0,
+                songId: 0,
+                error: ''
+            };
+            if (!Object.prototype.hasOwnProperty.call(UploadTypes, path.extname(file).toLowerCase())) {
+                item.state = CloudUploadState.Failed;
+                item.error = '不支持的文件格式';
+            } else {
+                this.queue.push(item);
+            }
+            this.emit('update', { ...item });
+            return { ...item };
+        });
+        this.run();
+        return items;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+        while (this.queue.length > 0) {
+            const item = this.queue.shift();
+            try {
+                await this.upload(item);
+            } catch (e) {
+                d('Upload %s failed: %s', item.file, e.message);
+                this.update(item, { state: CloudUploadState.Failed, error: e.message });
+            }
+        }
+        this.running = false;
+    }
+
+    /**
+     * md5 check, upload token, file upload (skipped if NetEase has the same file),
+     * song info submit, and publish
+     * @param {Types.CloudUploadItem} item
+     */
+    async upload(item) {
+        const { size } = await fsp.stat(item.file);
+        this.update(item, { state: CloudUploadState.Hashing, size });
+        const md5 = await fileMd5(item.file);
+        const ext = path.extname(item.file).slice(1).toLowerCase();
+        const check = await this.client.postW('/cloud/upload/check', {
+            bitrate: Bitrate,
+            ext: '',
+            length: size,
+            md5,
+            songId: '0',
+            version: 1
+        });
+        assertOk(check, 'check');
+        const token = await this.client.postW('/nos/token/alloc', {
+            bucket: '',
+            ext,
+            filename: path.basename(item.file, path.extname(item.file)),
+            local: false,
+            nos_product: 3,
+            type: 'audio',
+            md5
+        });
+        assertOk(token, 'token');
+        const { objectKey, resourceId } = token.result;
+        if (check.needUpload) {
+            this.update(item, { state: CloudUploadState.Uploading });
+            await this.uploadFile(item, objectKey, token.result.token);
+        }
+        this.update(item, { state: CloudUploadState.Submitting, uploaded: size });
+        const track = await readLocalTrack(item.file);
+        const info = await this.client.postW('/upload/cloud/info/v2', {
+            md5,
+            songid: check.songId,
+            filename: item.name,
+            song: track.name,
+            album: track.al.name || '未知专辑',
+            artist: track.ar.map(a => a.name).join('/') || '未知歌手',
+            bitrate: Bitrate,
+            resourceId
+        });
+        assertOk(info, 'info');
+        const pub = await this.client.postW('/cloud/pub/v2', { songid: info.songId });
+        assertOk(pub, 'publish');
+        d('Uploaded %s as %d', item.file, info.songId);
+        this.update(item, { state: CloudUploadState.Completed, songId: Number(info.songId) });
+    }
+
+    /**
+     * upload file to NOS in chunks, `context` returned by each chunk is
+     * required by the next one
+     * @param {Types.CloudUploadItem} item
+     * @param {string} objectKey
+     * @param {string} token
+     */
+    async uploadFile(item, objectKey, token) {
+        const lbs = await (await fetch(this.lbsURL)).json();
+        const url = `${lbs.upload[0]}/${Bucket}/${encodeURIComponent(objectKey)}`;
+        const contentType = UploadTypes[path.extname(item.file).toLowerCase()];
+        const fd = await fsp.open(item.file, 'r');
+        try {
+            let offset = 0;
+            let context = '';
+            do {
+                const length = Math.min(this.chunkSize, item.size - offset);
+                const chunk = Buffer.alloc(length);
+                await fd.read(chunk, 0, length, offset);
+                const query = { offset, complete: offset + length >= item.size, version: '1.0' };
+                if (context) query.context = context;
+                const res = await fetch(`${url}?${qs.stringify(query)}`, {
+                    method: 'POST',
+                    headers: {
+                        'x-nos-token': token,
+                        'Content-Type': contentType,
+                        'Content-Length': length
+                    },
+                    body: chunk
+                });
+                if (!res.ok) {
+                    throw new Error(`upload: HTTP ${res.status}`);
+                }
+                const data = await res.json();
+                context = data.context;
+                offset = typeof data.offset === 'number' ? data.offset : offset + length;
+                this.update(item, { uploaded: offset });
+            } while (offset < item.size);
+        } finally {
+            await fd.close();
+        }
+    }
+}
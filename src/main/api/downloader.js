@@ -1,169 +1,927 @@
 
 import fs, { promises as fsp } from 'fs';
 import * as path from 'path';
+import { createHash } from 'crypto';
 import { app } from 'electron';
-import { getPicUrl, getMusicUrlE } from './index';
+import { EventEmitter } from 'eventemitter3';
+import { getPicUrl, getMusicUrlE, getAlbumDetailE, getMusicLyric, getSongDetail } from './index';
+import * as Settings from '../settings';
 import fetch from 'electron-fetch';
+import { renderPathTemplate } from '../util/filename';
+import { listFiles } from '../util/fs';
+import { formatLyric } from '../util/lyric';
 import ID3 from './media/id3';
 import FLAC from './media/flac';
+import { readNeteaseId } from './localLibrary';
 
 import debug from 'debug';
 
 const d = debug('Downloader');
 
 /**
- * Replace all slashes to spaces
- * @param {string} text 
+ * @enum {Types.DownloadState}
  */
-function escapeSlash(text) {
-    if (process.platform === 'win32') {
-        return text.replace(/[<>:"\/\\\|\?\*]/g, ' ');
-    }
-    return text.replace(/\//g, ' ');
+export const DownloadState = {
+    Pending: 'pending',
+    Downloading: 'downloading',
+    Paused: 'paused',
+    Failed: 'failed',
+    Completed: 'completed'
+};
+
+/** minimal interval between two `progress` updates of the same task, in ms */
+const ProgressInterval = 250;
+
+/**
+ * @typedef {object} OutputOptions
+ * @property {string} dir
+ * @property {string} template
+ * @property {'rename' | 'overwrite' | 'skip'} collision
+ */
+
+/**
+ * @typedef {object} AlbumInfo
+ * @property {string} albumArtist
+ * @property {string} date
+ * @property {string} genre
+ */
+
+/**
+ * @typedef {object} DownloadBatch
+ * @property {string} id
+ * @property {string} name
+ * @property {Models.Track[]} skipped already downloaded when the batch started
+ * @property {Models.Track[]} succeeded completed but removed from queue before the batch settled
+ * @property {{ track: Models.Track, reason: string }[]} failed cancelled before the batch settled
+ */
+
+/** max count of album info kept in memory */
+const AlbumCacheSize = 100;
+
+/**
+ * convert song in API response to the shape of `Models.Track` used by downloader
+ * @param {any} song
+ * @returns {Models.Track}
+ */
+function trackFromSong(song) {
+    const artists = song.ar.map(({ id, name }) => ({ id, name }));
+    return /** @type {Models.Track} */ ({
+        id: song.id,
+        name: song.name,
+        album: { id: song.al.id, name: song.al.name, pic: song.al.pic_str || song.al.pic },
+        artists,
+        artistName: artists.map(a => a.name).join(' / '),
+        cd: song.cd,
+        no: song.no,
+        privilege: song.privilege
+    });
 }
 
 /**
- * Get a valid output file name
- * @param {Models.Track} metadata 
- * @param {string} ext 
- * @returns {string}
+ * find a file path not taken, like `name (1).mp3`
+ * @param {string} distpath
  */
-function getFileName(metadata, ext) {
-    // replace slash to space
-    const artists = metadata.artists
-        .map(({ name }) => escapeSlash(name))
-        .join(', ');
-    const title = escapeSlash(metadata.name);
-
-    return `${artists} - ${title}.${ext}`;
+function findAvailablePath(distpath) {
+    const { dir, name, ext } = path.parse(distpath);
+    let i = 1;
+    let res = distpath;
+    while (fs.existsSync(res)) {
+        res = path.join(dir, `${name} (${i++})${ext}`);
+    }
+    return res;
 }
 
-class Downloader {
+class Downloader extends EventEmitter {
     /**
-     * @param {import('./cache').default} cache 
-     * @param {string} dist
+     * @param {import('./cache').default} cache
+     * @param {string} configPath config directory path
      */
-    constructor(cache, dist) {
+    constructor(cache, configPath) {
+        super();
         this.cache = cache;
-        this.dist = dist || path.join(app.getPath('music'), 'ElectronNCM');
+        // default output directory, if not set in settings
+        this.dist = path.join(app.getPath('music'), 'ElectronNCM');
+        // partially downloaded files, kept for resuming
+        this.tempPath = path.join(configPath, 'downloadTemp');
+        this.queuePath = path.join(configPath, 'downloadQueue.json');
+        this.batchesPath = path.join(configPath, 'downloadBatches.json');
+        /** @type {Map<string, Types.DownloadItem>} */
+        this.queue = new Map();
+        /** @type {Map<string, DownloadBatch>} */
+        this.batches = new Map();
+        /** @type {Map<string, { aborted: boolean; abort: () => void }>} */
+        this.running = new Map();
+        /** @type {Map<string, number>} */
+        this.lastProgress = new Map();
+        this.started = false;
+        this.retagging = false;
+        this.exportingLyrics = false;
+        /** @type {Map<number, Promise<AlbumInfo>>} */
+        this.albumCache = new Map();
+        this.loadQueue();
+    }
+
+    loadQueue() {
+        try {
+            /** @type {Types.DownloadItem[]} */
+            const items = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+            for (const item of items) {
+                // interrupted or failed last time, try again
+                if (item.state === DownloadState.Downloading || item.state === DownloadState.Failed) {
+                    item.state = DownloadState.Pending;
+                    item.error = '';
+                }
+                this.queue.set(item.key, item);
+            }
+        } catch (e) {
+            this.queue.clear();
+        }
+        try {
+            /** @type {DownloadBatch[]} */
+            const batches = JSON.parse(fs.readFileSync(this.batchesPath, 'utf8'));
+            batches.forEach(batch => this.batches.set(batch.id, batch));
+        } catch (e) {
+            this.batches.clear();
+        }
+    }
+
+    saveQueue() {
+        fs.writeFileSync(this.queuePath, JSON.stringify([...this.queue.values()], null, 2));
+    }
+
+    saveBatches() {
+        fs.writeFileSync(this.batchesPath, JSON.stringify([...this.batches.values()], null, 2));
+    }
+
+    /**
+     * @param {Types.DownloadItem} item
+     */
+    tempFilePath(item) {
+        return path.join(this.tempPath, `${item.key}.part`);
+    }
+
+    /**
+     * @param {Types.DownloadItem} item
+     * @param {Types.DownloadState} state
+     * @param {string} [error]
+     */
+    setState(item, state, error = '') {
+        item.state = state;
+        item.error = error;
+        this.saveQueue();
+        this.emit('update', item);
+        if (item.batch) this.checkBatch(item.batch);
+    }
+
+    /**
+     * @param {Types.DownloadItem} item
+     */
+    updateProgress(item) {
+        const now = Date.now();
+        if (now - (this.lastProgress.get(item.key) || 0) < ProgressInterval) return;
+        this.lastProgress.set(item.key, now);
+        this.emit('update', item);
+    }
+
+    /**
+     * Emit `batch` event with summary if no task of the batch is pending or downloading,
+     * paused ones are counted as settled too
+     * @param {string} id
+     */
+    checkBatch(id) {
+        const batch = this.batches.get(id);
+        if (!batch) return;
+        const items = [...this.queue.values()].filter(item => item.batch === id);
+        if (items.some(item => item.state === DownloadState.Pending || item.state === DownloadState.Downloading)) {
+            return;
+        }
+        /** @type {Types.DownloadBatchSummary} */
+        const summary = {
+            name: batch.name,
+            succeeded: [...batch.succeeded],
+            skipped: batch.skipped,
+            failed: [...batch.failed],
+            paused: []
+        };
+        for (const item of items) {
+            switch (item.state) {
+                case DownloadState.Completed:
+                    summary.succeeded.push(item.metadata);
+                    break;
+                case DownloadState.Failed:
+                    summary.failed.push({ track: item.metadata, reason: item.error });
+                    break;
+                case DownloadState.Paused:
+                    summary.paused.push(item.metadata);
+                    break;
+            }
+        }
+        this.batches.delete(id);
+        this.saveBatches();
+        d('Batch %s settled, %d succeeded, %d skipped, %d failed, %d paused', batch.name,
+            summary.succeeded.length, summary.skipped.length, summary.failed.length, summary.paused.length);
+        this.emit('batch', summary);
+    }
+
+    /**
+     * allow queued tasks to run, should be called after user login restored
+     */
+    start() {
+        this.started = true;
+        this.schedule();
+    }
+
+    async schedule() {
+        if (!this.started) return;
+        const { downloadConcurrency } = await Settings.get();
+        for (const item of this.queue.values()) {
+            if (this.running.size >= downloadConcurrency) break;
+            // aborted task may be still finishing, it would be scheduled again after that
+            if (item.state === DownloadState.Pending && !this.running.has(item.key)) {
+                this.run(item);
+            }
+        }
     }
 
     /**
-     * Download track to `this.dist` directory
+     * Put track into download queue
      * @param {Models.Track} metadata
      * @param {Types.MusicQuality} quality
-     * @returns {Promise<Types.DownloadSongRes>}
+     * @param {string} [batch] id of batch the task belongs to
+     * @returns {Types.DownloadItem}
+     */
+    enqueue(metadata, quality, batch) {
+        const key = `${metadata.id}${quality}`;
+        const exist = this.queue.get(key);
+        if (exist && exist.state !== DownloadState.Completed) {
+            if (batch) {
+                // already queued task is counted in the latest batch
+                exist.batch = batch;
+                this.saveQueue();
+            }
+            return exist;
+        }
+        /** @type {Types.DownloadItem} */
+        const item = {
+            key,
+            metadata,
+            quality,
+            state: DownloadState.Pending,
+            received: 0,
+            total: 0,
+            error: '',
+            url: '',
+            addTime: Date.now()
+        };
+        if (batch) item.batch = batch;
+        // re-downloading moves the task to the end of queue
+        this.queue.delete(key);
+        this.queue.set(key, item);
+        this.saveQueue();
+        this.emit('update', item);
+        this.schedule();
+        return item;
+    }
+
+    /**
+     * Download several tracks, already downloaded ones would be skipped.
+     * Emits `batch` event with summary when all tasks completed, failed or paused,
+     * which is kept across restarts
+     * @param {Models.Track[]} tracks
+     * @param {Types.MusicQuality} quality
+     * @param {string} name name of this batch, e.g. playlist name
+     * @returns {Promise<{ queued: number, skipped: number }>}
+     */
+    async downloadBatch(tracks, quality, name) {
+        const options = await this.getOutputOptions();
+        const id = `${Date.now()}`;
+        /** @type {Models.Track[]} */
+        const skipped = [];
+        /** @type {Models.Track[]} */
+        const queued = [];
+        for (const track of tracks) {
+            if (await this.check(track, options)) {
+                skipped.push(track);
+            } else {
+                queued.push(track);
+            }
+        }
+        this.batches.set(id, { id, name, skipped, succeeded: [], failed: [] });
+        this.saveBatches();
+        queued.forEach(track => this.enqueue(track, quality, id));
+        // settled already if all skipped, or queued ones are paused
+        this.checkBatch(id);
+        return { queued: queued.length, skipped: skipped.length };
+    }
+
+    /**
+     * @param {Types.DownloadItem} item
      */
-    async download(metadata, quality) {
+    async run(item) {
+        const task = { aborted: false, abort: () => { task.aborted = true; } };
+        /** paused, or cancelled and removed from queue */
+        const stopped = () => task.aborted || !this.queue.has(item.key);
+        this.running.set(item.key, task);
+        this.setState(item, DownloadState.Downloading);
+        const { metadata, quality } = item;
         d('Started to download id=%d, quality=%s', metadata.id, quality);
         try {
-
             const urlRes = await getMusicUrlE(metadata.id, quality);
-            if (urlRes.code !== 200 || urlRes.data[0].code !== 200) {
+            if (urlRes.code !== 200) {
                 throw new Error('获取下载链接失败');
             }
-            const dlUrl = urlRes.data[0].url.replace(/^http:/, 'https:');
-            const dlRes = await fetch(dlUrl);
-            if (dlRes.status !== 200) {
+            const music = urlRes.data[0];
+            if (music.code !== 200 || !music.url) {
+                // privilege.st < 0 means the track is taken down due to copyright
+                if (metadata.privilege && metadata.privilege.st < 0) {
+                    throw new Error('没有版权');
+                }
+                throw new Error('无法获取下载地址');
+            }
+            if (task.aborted) return;
+
+            const tempFile = this.tempFilePath(item);
+            await fsp.mkdir(this.tempPath, { recursive: true });
+            let start = 0;
+            try {
+                start = (await fsp.stat(tempFile)).size;
+            } catch (e) { /* not downloaded yet */ }
+
+            const dlUrl = music.url.replace(/^http:/, 'https:');
+            const dlRes = await fetch(dlUrl, {
+                headers: start > 0 ? { Range: `bytes=${start}-` } : {}
+            });
+            if (dlRes.status === 200) {
+                // server ignores `Range`, start over
+                start = 0;
+            } else if (dlRes.status !== 206) {
                 throw new Error(`下载失败 ${dlRes.status}`);
             }
-            const originalFile = await dlRes.buffer();
-
-            // fetch cover
-            // Q: Why should we fetch several times here?
-            // A: Some pictures are too large. (~25MB)
-            //    And FLAC only support pictures smaller than 16MB
-            // e.g. https://p3.music.126.net/5Ox3BiabKcaHFTcQCXN1yA==/109951164249692467.jpg
-            let cover = null;
-            const picUrl = getPicUrl(metadata.album.pic).url;
-            const possiblePicUrl = [
-                `${picUrl}`,
-                `${picUrl}?param=1000y1000`,
-                `${picUrl}?param=500y500`,
-                `${picUrl}?param=200y200`,
-            ];
-            for (const url of possiblePicUrl) {
-                const response = await fetch(url);
-                if (response.status === 200) {
-                    const buf = await response.buffer();
-                    if (buf.length <= 0xff0000) {
-                        // is capable to put inside
-                        cover = buf;
-                        break;
-                    }
-                }
+            if (task.aborted) {
+                dlRes.body.destroy();
+                return;
             }
+            item.received = start;
+            item.total = start + (Number.parseInt(dlRes.headers.get('content-length'), 10) || 0);
 
-            let distname = '', distbuffer = null;
-            if (ID3.validate(originalFile)) {
-                const distFile = new ID3(originalFile);
-                distFile.addTIT2Tag(metadata.name);
-                distFile.addTCOMTag(metadata.artistName);
-                distFile.addTPE1Tag(metadata.artistName);
-                distFile.addTALBTag(metadata.album.name);
-                distFile.addTRCKTag(metadata.no);
-                if (cover !== null) {
-                    distFile.addAPICTag(cover);
-                }
-                distbuffer = distFile.toBuffer();
-                distname = getFileName(metadata, 'mp3');
-            } else if (FLAC.validate(originalFile)) {
-                const distFile = new FLAC(originalFile);
-                distFile.addTITLEComment(metadata.name);
-                metadata.artists.forEach(({ name }) => {
-                    distFile.addARTISTComment(name);
+            await new Promise((resolve, reject) => {
+                const out = fs.createWriteStream(tempFile, { flags: start > 0 ? 'a' : 'w' });
+                task.abort = () => {
+                    task.aborted = true;
+                    dlRes.body.unpipe(out);
+                    dlRes.body.destroy();
+                    // flush what we've got for resuming later
+                    out.end();
+                };
+                dlRes.body.on('data', chunk => {
+                    item.received += chunk.length;
+                    this.updateProgress(item);
                 });
-                distFile.addTRACKNUMBERComment(metadata.no);
-                distFile.addALBUMComment(metadata.album.name);
-                if (cover !== null) {
-                    distFile.attachPicture(cover);
-                }
-                distbuffer = await distFile.toBuffer();
-                distname = getFileName(metadata, 'flac');
-            } else {
-                throw new Error('未知的音乐格式');
-            }
+                dlRes.body.on('error', reject);
+                out.on('error', reject);
+                out.on('finish', resolve);
+                dlRes.body.pipe(out);
+            });
+            if (stopped()) return;
 
-            if (!distname || !distbuffer) {
-                throw new Error('解析音乐文件时发生错误');
+            const originalFile = await fsp.readFile(tempFile);
+            if (stopped()) return;
+            const md5 = createHash('md5').update(originalFile).digest('hex');
+            if (music.md5 && md5 !== music.md5.toLowerCase()) {
+                await fsp.unlink(tempFile);
+                throw new Error('文件校验失败');
             }
 
-            const distpath = path.join(this.dist, distname);
-            if (!fs.existsSync(this.dist)) {
-                await fsp.mkdir(this.dist, { recursive: true });
+            const { distpath, written } = await this.writeFile(metadata, originalFile);
+            let lyricPath = '';
+            if (!stopped() && (await Settings.get()).downloadLyric) {
+                try {
+                    lyricPath = await this.writeLyricFile(metadata, distpath);
+                } catch (e) {
+                    // audio is there, lyric file is nice to have
+                    d('Failed to write lyric file, id=%d: %s', metadata.id, e.message);
+                }
             }
-            if (fs.existsSync(distpath)) {
-                throw new Error('下载地址被占用');
+            if (stopped()) {
+                // paused or cancelled while writing, drop what's half done.
+                // temp file is complete, resuming from it would request an empty range
+                const files = [tempFile, written && distpath, lyricPath].filter(Boolean);
+                await Promise.all(files.map(f => fsp.unlink(f).catch(() => { /* already removed */ })));
+                return;
             }
-            await fsp.writeFile(distpath, distbuffer);
-
             this.cache.attachExternalCache(`${metadata.id}${quality}`, distpath);
 
             d('Download success, id=%d, quality=%s, distpath=%s', metadata.id, quality, distpath);
-
-            return {
-                success: true,
-                url: distpath,
-            };
+            item.url = distpath;
+            this.setState(item, DownloadState.Completed);
+            await fsp.unlink(tempFile);
         } catch (e) {
+            if (stopped()) return;
             d('What a terrible failure. %s', e.message);
+            this.setState(item, DownloadState.Failed, e.message);
+        } finally {
+            this.running.delete(item.key);
+            this.lastProgress.delete(item.key);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Fetch album artist, release date and genre, which are not included in track detail
+     * @param {Models.Track} metadata
+     * @returns {Promise<AlbumInfo | null>}
+     */
+    async getAlbumInfo(metadata) {
+        const { id } = metadata.album;
+        // tracks in private cloud don't have album id
+        if (!id) return null;
+        if (!this.albumCache.has(id)) {
+            const promise = getAlbumDetailE(id).then(res => {
+                if (res.code !== 200) throw res;
+                const { album } = res;
+                return {
+                    albumArtist: album.artist.name,
+                    // publish time is the beginning of day in UTC+8
+                    date: album.publishTime ? new Date(album.publishTime + 8 * 3600 * 1000).toISOString().slice(0, 10) : '',
+                    genre: album.tags || ''
+                };
+            });
+            promise.catch(() => this.albumCache.delete(id));
+            this.albumCache.set(id, promise);
+            if (this.albumCache.size > AlbumCacheSize) {
+                this.albumCache.delete(this.albumCache.keys().next().value);
+            }
+        }
+        try {
+            return await this.albumCache.get(id);
+        } catch (e) {
+            d('Failed to get album info, id=%d', id);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Models.Track} metadata
+     * @returns {Promise<{ text: string, lines: { timestamp: number, text: string }[] } | null>}
+     */
+    async getLyric(metadata) {
+        try {
+            const res = await getMusicLyric(metadata.id);
+            if (res.lrc) {
+                return {
+                    text: res.lrc.toString(),
+                    lines: res.lrc.lyrics.map(l => ({ timestamp: l.timestamp * 1000, text: l.content }))
+                };
+            }
+            if (res.txtLyric) {
+                return { text: res.txtLyric, lines: [] };
+            }
+        } catch (e) {
+            d('Failed to get lyric, id=%d', metadata.id);
+        }
+        return null;
+    }
+
+    /**
+     * Fetch album cover
+     * @param {Models.Track} metadata
+     * @returns {Promise<Buffer | null>}
+     */
+    async fetchCover(metadata) {
+        // Q: Why should we fetch several times here?
+        // A: Some pictures are too large. (~25MB)
+        //    And FLAC only support pictures smaller than 16MB
+        // e.g. https://p3.music.126.net/5Ox3BiabKcaHFTcQCXN1yA==/109951164249692467.jpg
+        const picUrl = getPicUrl(metadata.album.pic).url;
+        const possiblePicUrl = [
+            `${picUrl}`,
+            `${picUrl}?param=1000y1000`,
+            `${picUrl}?param=500y500`,
+            `${picUrl}?param=200y200`,
+        ];
+        for (const url of possiblePicUrl) {
+            const response = await fetch(url);
+            if (response.status === 200) {
+                const buf = await response.buffer();
+                if (buf.length <= 0xff0000) {
+                    // is capable to put inside
+                    return buf;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetch cover, album info and lyric, then write them into tags.
+     * Existing tags with the same name would be replaced
+     * @param {Buffer} originalFile
+     * @param {Models.Track} metadata
+     * @returns {Promise<{ ext: 'mp3' | 'flac', buffer: Buffer, album: AlbumInfo | null }>}
+     */
+    async applyTags(originalFile, metadata) {
+        const cover = await this.fetchCover(metadata);
+        const album = await this.getAlbumInfo(metadata);
+        const lyric = await this.getLyric(metadata);
+        const disc = Number.parseInt(metadata.cd, 10) || 1;
+
+        if (ID3.validate(originalFile)) {
+            const distFile = new ID3(originalFile);
+            distFile.addTIT2Tag(metadata.name);
+            distFile.addTCOMTag(metadata.artistName);
+            distFile.addTPE1Tag(metadata.artistName);
+            distFile.addTALBTag(metadata.album.name);
+            distFile.addTRCKTag(metadata.no);
+            distFile.addTPOSTag(disc);
+            distFile.addTXXXTag('NETEASE_SONG_ID', String(metadata.id));
+            if (album !== null) {
+                distFile.addTPE2Tag(album.albumArtist);
+                if (album.date) distFile.addTDRCTag(album.date);
+                if (album.genre) distFile.addTCONTag(album.genre);
+            }
+            if (lyric !== null) {
+                distFile.addUSLTTag(lyric.text);
+                if (lyric.lines.length > 0) {
+                    distFile.addSYLTTag(lyric.lines);
+                }
+            }
+            if (cover !== null) {
+                distFile.addAPICTag(cover);
+            }
+            return { ext: 'mp3', buffer: distFile.toBuffer(), album };
+        }
+        if (FLAC.validate(originalFile)) {
+            const distFile = new FLAC(originalFile);
+            distFile.removeComments('TITLE', 'ARTIST', 'TRACKNUMBER', 'ALBUM', 'DISCNUMBER', 'NETEASE_SONG_ID');
+            distFile.addTITLEComment(metadata.name);
+            metadata.artists.forEach(({ name }) => {
+                distFile.addARTISTComment(name);
+            });
+            distFile.addTRACKNUMBERComment(metadata.no);
+            distFile.addALBUMComment(metadata.album.name);
+            distFile.addDISCNUMBERComment(String(disc));
+            distFile.addComment('NETEASE_SONG_ID', String(metadata.id));
+            if (album !== null) {
+                distFile.removeComments('ALBUMARTIST');
+                distFile.addALBUMARTISTComment(album.albumArtist);
+                if (album.date) {
+                    distFile.removeComments('DATE');
+                    distFile.addDATEComment(album.date);
+                }
+                if (album.genre) {
+                    distFile.removeComments('GENRE');
+                    distFile.addGENREComment(album.genre);
+                }
+            }
+            if (lyric !== null) {
+                distFile.removeComments('LYRICS');
+                distFile.addLYRICSComment(lyric.text);
+            }
+            if (cover !== null) {
+                distFile.attachPicture(cover);
+            }
+            return { ext: 'flac', buffer: await distFile.toBuffer(), album };
+        }
+        throw new Error('未知的音乐格式');
+    }
+
+    /**
+     * Add tags and write to output directory
+     * @param {Models.Track} metadata
+     * @param {Buffer} originalFile
+     * @returns {Promise<{ distpath: string, written: boolean }>} output file path,
+     * and if it's written by this call instead of kept as is
+     */
+    async writeFile(metadata, originalFile) {
+        const { ext, buffer: distbuffer, album } = await this.applyTags(originalFile, metadata);
+
+        const options = await this.getOutputOptions();
+        const albumArtist = album !== null ? album.albumArtist : undefined;
+        let distpath = this.getOutputPath({ ...metadata, albumArtist }, ext, options);
+        if (fs.existsSync(distpath)) {
+            switch (options.collision) {
+                case 'skip':
+                    // another track may render to the same name, e.g. live and studio version
+                    if (await readNeteaseId(distpath).catch(() => 0) !== metadata.id) {
+                        throw new Error('输出路径已被其他歌曲占用');
+                    }
+                    d('Output path taken by the same song, keep existing file %s', distpath);
+                    return { distpath, written: false };
+                case 'overwrite':
+                    break;
+                default:
+                    distpath = findAvailablePath(distpath);
+                    break;
+            }
+        }
+        await fsp.mkdir(path.dirname(distpath), { recursive: true });
+        await fsp.writeFile(distpath, distbuffer);
+        return { distpath, written: true };
+    }
+
+    /**
+     * @returns {Promise<OutputOptions>}
+     */
+    async getOutputOptions() {
+        const settings = await Settings.get();
+        return {
+            dir: settings.downloadDir || this.dist,
+            template: settings.downloadFileName || Settings.defaultSettings.downloadFileName,
+            collision: settings.downloadCollision
+        };
+    }
+
+    /**
+     * @param {Models.Track & { albumArtist?: string }} metadata
+     * @param {string} ext
+     * @param {OutputOptions} options
+     */
+    getOutputPath(metadata, ext, options) {
+        return path.join(options.dir, `${renderPathTemplate(options.template, metadata)}.${ext}`);
+    }
+
+    /**
+     * resolved output directory
+     * @returns {Promise<string>}
+     */
+    async getOutputDir() {
+        return (await this.getOutputOptions()).dir;
+    }
+
+    /**
+     * @returns {Types.DownloadItem[]}
+     */
+    list() {
+        return [...this.queue.values()];
+    }
+
+    /**
+     * @param {string} key
+     */
+    pause(key) {
+        const item = this.queue.get(key);
+        if (!item || (item.state !== DownloadState.Pending && item.state !== DownloadState.Downloading)) {
+            return;
+        }
+        const task = this.running.get(key);
+        if (task) task.abort();
+        this.setState(item, DownloadState.Paused);
+    }
+
+    /**
+     * continue a paused task, or retry a failed one
+     * @param {string} key
+     */
+    resume(key) {
+        const item = this.queue.get(key);
+        if (!item || (item.state !== DownloadState.Paused && item.state !== DownloadState.Failed)) {
+            return;
+        }
+        this.setState(item, DownloadState.Pending);
+        this.schedule();
+    }
+
+    /**
+     * stop and remove task from queue, partially downloaded file would be deleted
+     * @param {string} key
+     */
+    async cancel(key) {
+        const item = this.queue.get(key);
+        if (!item) return;
+        const task = this.running.get(key);
+        if (task) task.abort();
+        this.queue.delete(key);
+        this.saveQueue();
+        this.emit('remove', key);
+        const batch = this.batches.get(item.batch);
+        if (batch) {
+            batch.failed.push({ track: item.metadata, reason: '下载已取消' });
+            this.saveBatches();
+            this.checkBatch(batch.id);
+        }
+        try {
+            await fsp.unlink(this.tempFilePath(item));
+        } catch (e) { /* nothing to remove */ }
+    }
 
-            return {
-                success: false,
-                error: e.message,
-            };
+    /**
+     * remove completed tasks from queue
+     */
+    clearCompleted() {
+        for (const item of this.queue.values()) {
+            if (item.state === DownloadState.Completed) {
+                this.queue.delete(item.key);
+                this.emit('remove', item.key);
+                // batch still running, keep completed ones in its summary
+                const batch = this.batches.get(item.batch);
+                if (batch) batch.succeeded.push(item.metadata);
+            }
         }
+        this.saveQueue();
+        this.saveBatches();
     }
 
     /**
-     * Check if the track is downloaded
+     * Check if the track is downloaded, either recorded in cache or found at output path
      * @param {Models.Track} metadata 
-     * @returns {boolean}
+     * @param {OutputOptions} options
+     * @returns {Promise<boolean>}
+     */
+    async check(metadata, options) {
+        return (await this.findDownloaded(metadata, options)) !== null;
+    }
+
+    /**
+     * Find path of downloaded file, either recorded in cache or found at output path
+     * @param {Models.Track} metadata
+     * @param {OutputOptions} options
+     * @returns {Promise<string | null>}
+     */
+    async findDownloaded(metadata, options) {
+        for (const quality of ['ex', 'h', 'm', 'l']) {
+            const key = `${metadata.id}${quality}`;
+            if (this.cache.external.has(key) && fs.existsSync(this.cache.external.get(key))) {
+                return this.cache.external.get(key);
+            }
+        }
+        // output path is rendered with album artist from album info, same as `writeFile`
+        let albumArtist;
+        if (/\{albumArtist[}:]/.test(options.template)) {
+            const album = await this.getAlbumInfo(metadata);
+            albumArtist = album !== null ? album.albumArtist : undefined;
+        }
+        for (const ext of ['mp3', 'flac']) {
+            const distpath = this.getOutputPath({ ...metadata, albumArtist }, ext, options);
+            if (!fs.existsSync(distpath)) continue;
+            // file tagged with another song id only shares the name, those
+            // downloaded before tagging song id could not be told apart
+            const id = await readNeteaseId(distpath).catch(() => 0);
+            if (id === 0 || id === metadata.id) return distpath;
+        }
+        return null;
+    }
+
+    /**
+     * Write lyric file next to audio file, in format and variant from settings.
+     * Existing lyric file would be replaced
+     * @param {Models.Track} metadata
+     * @param {string} audioPath
+     * @param {Types.MusicLyricRes} [lyric] fetched from server if not given
+     * @returns {Promise<string>} lyric file path, empty if the track has no timed lyric
      */
-    check(metadata) {
-        const distpath1 = path.join(this.dist, getFileName(metadata, 'mp3'));
-        const distpath2 = path.join(this.dist, getFileName(metadata, 'flac'));
-        return fs.existsSync(distpath1) || fs.existsSync(distpath2);
+    async writeLyricFile(metadata, audioPath, lyric) {
+        const { lyricExportFormat: format, lyricExportVariant: variant } = await Settings.get();
+        if (!lyric) lyric = await getMusicLyric(metadata.id);
+        // translation is merged into `mlrc`
+        const source = variant === 'original' ? lyric.lrc : (lyric.mlrc || lyric.lrc);
+        if (!source || !source.lyrics || source.lyrics.length === 0) return '';
+        const { dir, name } = path.parse(audioPath);
+        const lyricPath = path.join(dir, `${name}.${format}`);
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(lyricPath, formatLyric(source.lyrics, format, variant, metadata.duration / 1000));
+        return lyricPath;
+    }
+
+    /**
+     * Export lyric files next to downloaded audio files in background, emits
+     * `lyricExportDone` event with summary when finished
+     * @param {Models.Track[]} tracks
+     * @param {Types.MusicLyricRes} [lyric] lyric to use if only one track given
+     * @returns {boolean} `false` if already running
+     */
+    startLyricExport(tracks, lyric) {
+        if (this.exportingLyrics) return false;
+        this.exportingLyrics = true;
+        this.exportLyrics(tracks, lyric).catch(e => {
+            d('Lyric export failed: %s', e.message);
+            return { exported: 0, skipped: 0, notDownloaded: 0, failed: tracks.map(track => ({ track, reason: e.message })) };
+        }).then(summary => {
+            this.exportingLyrics = false;
+            this.emit('lyricExportDone', summary);
+        });
+        return true;
+    }
+
+    /**
+     * Export lyric files next to downloaded audio files. Tracks not downloaded
+     * are skipped, and so are local tracks, their lyric comes from files already
+     * @param {Models.Track[]} tracks
+     * @param {Types.MusicLyricRes} [lyric] lyric to use if only one track given
+     * @returns {Promise<Types.LyricExportSummary>}
+     */
+    async exportLyrics(tracks, lyric) {
+        const options = await this.getOutputOptions();
+        /** @type {Types.LyricExportSummary} */
+        const summary = { exported: 0, skipped: 0, notDownloaded: 0, failed: [] };
+        for (const track of tracks) {
+            if (track.localPath) {
+                summary.skipped++;
+                continue;
+            }
+            try {
+                const audioPath = await this.findDownloaded(track, options);
+                if (!audioPath) {
+                    summary.notDownloaded++;
+                    continue;
+                }
+                const lyricPath = await this.writeLyricFile(track, audioPath, tracks.length === 1 ? lyric : undefined);
+                if (lyricPath) {
+                    summary.exported++;
+                } else {
+                    summary.skipped++;
+                }
+            } catch (e) {
+                summary.failed.push({ track, reason: e.message });
+            }
+        }
+        d('Lyric export settled, %d exported, %d skipped, %d not downloaded, %d failed',
+            summary.exported, summary.skipped, summary.notDownloaded, summary.failed.length);
+        return summary;
+    }
+
+    /**
+     * Rewrite tags of all files in output directory with current metadata,
+     * audio data is not touched. Emits `retag` event for progress and
+     * `retagDone` event with summary when finished.
+     * @returns {boolean} `false` if already running
+     */
+    retagLibrary() {
+        if (this.retagging) return false;
+        this.retagging = true;
+        this.retag().catch(e => {
+            d('Retag failed: %s', e.message);
+            this.emit('retagDone', { total: 0, updated: 0, skipped: 0, failed: [{ file: '', reason: e.message }] });
+        }).finally(() => {
+            this.retagging = false;
+        });
+        return true;
+    }
+
+    async retag() {
+        const { dir } = await this.getOutputOptions();
+        const files = (await listFiles(dir)).filter(f => /\.(mp3|flac)$/i.test(f));
+        /** @type {Types.RetagSummary} */
+        const summary = { total: files.length, updated: 0, skipped: 0, failed: [] };
+
+        // files downloaded before tagging song id could be found in cache map
+        /** @type {Map<string, number>} */
+        const idByPath = new Map();
+        for (const [key, filePath] of this.cache.external) {
+            const match = key.match(/^(\d+)(ex|h|m|l)$/);
+            if (match) idByPath.set(filePath, Number(match[1]));
+        }
+
+        /** @type {{ file: string, id: number }[]} */
+        const tasks = [];
+        for (const file of files) {
+            try {
+                const buf = await fsp.readFile(file);
+                let info = null;
+                if (ID3.validate(buf)) info = new ID3(buf).readTags();
+                else if (FLAC.validate(buf)) info = new FLAC(buf).readTags();
+                const id = Number(info && info.neteaseId) || idByPath.get(file);
+                if (id) {
+                    tasks.push({ file, id });
+                } else {
+                    summary.skipped++;
+                }
+            } catch (e) {
+                summary.failed.push({ file, reason: e.message });
+            }
+        }
+
+        /** @type {Map<number, Models.Track>} */
+        const tracks = new Map();
+        const ids = [...new Set(tasks.map(t => t.id))];
+        for (let i = 0; i < ids.length; i += 500) {
+            const res = await getSongDetail(ids.slice(i, i + 500));
+            if (res.code !== 200) continue;
+            res.songs.forEach((song, j) => {
+                song.privilege = res.privileges[j];
+                tracks.set(song.id, trackFromSong(song));
+            });
+        }
+
+        let done = summary.skipped + summary.failed.length;
+        this.emit('retag', { done, total: summary.total });
+        for (const { file, id } of tasks) {
+            try {
+                const metadata = tracks.get(id);
+                if (!metadata) throw new Error('无法获取歌曲信息');
+                const { buffer } = await this.applyTags(await fsp.readFile(file), metadata);
+                // write to a temporary file first, in case of being interrupted
+                const tempFile = `${file}.retag`;
+                await fsp.writeFile(tempFile, buffer);
+                await fsp.rename(tempFile, file);
+                summary.updated++;
+            } catch (e) {
+                d('Failed to retag %s: %s', file, e.message);
+                summary.failed.push({ file, reason: e.message });
+            }
+            this.emit('retag', { done: ++done, total: summary.total });
+        }
+        d('Retag finished, %d updated, %d skipped, %d failed', summary.updated, summary.skipped, summary.failed.length);
+        this.emit('retagDone', summary);
     }
 }
 
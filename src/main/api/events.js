@@ -0,0 +1,17 @@
+import debug from 'debug';
+import { BrowserWindow } from 'electron';
+
+const TAG = 'API:Event';
+const d = debug(TAG);
+
+/**
+ * push event to all renderer windows
+ * @param {string} type
+ * @param  {...any} args
+ */
+export function broadcast(type, ...args) {
+    d('↑ %s', type);
+    for (const win of BrowserWindow.getAllWindows()) {
+        win.webContents.send(TAG, type, ...args);
+    }
+}
@@ -14,7 +14,11 @@ export default class HttpClient {
     static DesktopUserAgent = 'Mozilla/5.0 (Linux) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36';
     static MobileUserAgent = 'Mozilla/5.0 (Linux; Android 10) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Mobile Safari/537.36';
 
-    constructor() {
+    /**
+     * @param {string} [baseURL] origin of NetEase API, could be replaced by a local server for testing
+     */
+    constructor(baseURL = 'https://music.163.com') {
+        this.baseURL = baseURL;
         this.clientHeaders = {
             Accept: '*/*',
             'Accept-Language': 'zh',
@@ -151,7 +155,7 @@ export default class HttpClient {
      * @param {object} data
      */
     postW(url, data = {}) {
-        url = `https://music.163.com/weapi${url}`;
+        url = `${this.baseURL}/weapi${url}`;
         /** @type {import('electron-fetch').RequestInit} */
         let init = {
             method: 'POST',
@@ -187,7 +191,7 @@ export default class HttpClient {
             },
             body: qs.stringify(encodeLinux(body))
         };
-        return this.post('https://music.163.com/api/linux/forward', init);
+        return this.post(`${this.baseURL}/api/linux/forward`, init);
     }
 
     /**
@@ -197,7 +201,7 @@ export default class HttpClient {
      * @param {boolean} putCacheKey
      */
     async postE(url, data = {}, putCacheKey = false) {
-        url = `https://music.163.com/eapi${url}`;
+        url = `${this.baseURL}/eapi${url}`;
         let body = Object.assign({ e_r: 'true' }, data);
         if (putCacheKey) {
             body['cache_key'] = getCacheKey(body);
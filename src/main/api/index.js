@@ -1,4 +1,5 @@
 import path from 'path';
+import fs, { promises as fsp } from 'fs';
 import crypto from 'crypto';
 import qs from 'querystring';
 import { app } from 'electron';
@@ -14,6 +15,12 @@ import * as Settings from '../settings';
 import MusicServer from './musicServer';
 import { getDiskUsage, clearDirectory } from '../util/fs';
 import Downloader from './downloader';
+import LocalLibrary, { readLocalCover, readLocalLyric, isLocalMusicFile } from './localLibrary';
+import PlayRecordQueue from './playRecord';
+import { ListenBrainz } from './scrobbler';
+import CloudUploader from './cloudUploader';
+import { playlistFormat, stringifyPlaylist, parsePlaylist, stringifyCSVRows } from './playlistFile';
+import { broadcast } from './events';
 
 const BaseURL = 'https://music.163.com';
 const client = new HttpClient();
@@ -25,12 +32,40 @@ const CachePath = {
 };
 const musicCache = new Cache(CachePath.music, dataPath);
 migrate();
+Settings.get().then(applyMusicCacheLimit);
 
 const musicServer = new MusicServer(musicCache);
 let musicServerPort = 0;
 musicServer.listen().then(addr => musicServerPort = addr.port);
 
-const downloader = new Downloader(musicCache);
+const downloader = new Downloader(musicCache, dataPath);
+downloader.on('update', item => broadcast('download:update', item));
+downloader.on('remove', key => broadcast('download:remove', key));
+downloader.on('batch', summary => broadcast('download:batch', summary));
+downloader.on('retag', progress => broadcast('retag:progress', progress));
+downloader.on('retagDone', summary => broadcast('retag:done', summary));
+downloader.on('lyricExportDone', summary => broadcast('lyricExport:done', summary));
+
+const localLibrary = new LocalLibrary();
+localLibrary.on('progress', progress => broadcast('local:progress', progress));
+localLibrary.on('done', result => broadcast('local:done', result));
+localLibrary.on('scanError', message => broadcast('local:error', message));
+
+const cloudUploader = new CloudUploader(client);
+cloudUploader.on('update', item => broadcast('cloud:update', item));
+
+const playRecordQueue = new PlayRecordQueue(path.join(dataPath, 'playRecordQueue.json'), async batch => {
+    const res = await sumbitFeedback(batch.map(({ action, json }) => ({ action, json })));
+    return res.code === 200 ? '' : `code ${res.code}`;
+});
+playRecordQueue.on('update', stats => broadcast('playRecord:update', stats));
+
+const scrobbleService = ListenBrainz;
+const scrobbleQueue = new PlayRecordQueue(path.join(dataPath, 'scrobbleQueue.json'), batch => {
+    return scrobbleService.submit(batch.map(({ json }) => json));
+});
+scrobbleQueue.on('update', stats => broadcast('scrobble:update', stats));
+scrobbleQueue.start();
 
 /**
  * clear all cookies, and set cookie as given arguments
@@ -318,6 +353,72 @@ export async function getMusicUrlLocal(id, quality, ignoreCache = false) {
     };
 }
 
+/**
+ * filter music ids which could be played without network
+ * @param {number[]} ids
+ * @returns {Promise<number[]>}
+ */
+export async function getAvailableTrackIds(ids) {
+    const available = await Promise.all(ids.map(id => musicCache.findAvailable(id)));
+    return ids.filter((id, i) => available[i] !== false);
+}
+
+/**
+ * @param {number[]} ids
+ * @returns {number[]} ids of downloaded tracks
+ */
+export function getDownloadedTrackIds(ids) {
+    return ids.filter(id => {
+        const file = musicCache.findExternal(id);
+        return file && fs.existsSync(file);
+    });
+}
+
+/**
+ * cover picture embedded in downloaded music file
+ * @param {number} id
+ * @returns {Promise<{ code: number, url?: string }>}
+ */
+export async function getDownloadedCoverUrl(id) {
+    const filePath = musicCache.findExternal(id);
+    const cover = filePath ? await readLocalCover(filePath).catch(() => null) : null;
+    if (!cover) {
+        return { code: 404 };
+    }
+    return {
+        code: 200,
+        url: `http://localhost:${musicServerPort}/cover?id=${id}`
+    };
+}
+
+/**
+ * @param {string} filePath
+ */
+export function getLocalMusicUrl(filePath) {
+    const search = new URLSearchParams({ path: filePath });
+    return {
+        url: `http://localhost:${musicServerPort}/local?${search.toString()}`
+    };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<{ code: number, url?: string }>}
+ */
+export async function getLocalCoverUrl(filePath) {
+    const cover = await isLocalMusicFile(filePath)
+        ? await readLocalCover(filePath).catch(() => null)
+        : null;
+    if (!cover) {
+        return { code: 404 };
+    }
+    const search = new URLSearchParams({ path: filePath });
+    return {
+        code: 200,
+        url: `http://localhost:${musicServerPort}/local/cover?${search.toString()}`
+    };
+}
+
 const Comments = {
     threadRegexp: /^\w_\w\w_(?<resType>\d{1,2})_(?<rid>\w+)$/
 };
@@ -439,6 +540,64 @@ const MusicLyric = {
             }
         }
         return r;
+    },
+    /**
+     * parse word-by-word lyric, each line looks like
+     * `[lineStart,lineDuration](wordStart,wordDuration,0)word(...)word`, all in ms
+     * @param {string} text
+     * @returns {Types.LyricObjectItem}
+     */
+    parseYrc(text) {
+        const lyrics = [];
+        for (const line of text.split(/\r?\n/)) {
+            const m = /^\[(\d+),(\d+)\](.*)$/.exec(line.trim());
+            // lines of credits are json objects, skip them
+            if (!m) continue;
+            // `['', start, duration, word, start, duration, word, ...]`
+            const tokens = m[3].split(/\((\d+),(\d+),\d+\)/);
+            const words = [];
+            for (let i = 1; i + 2 < tokens.length; i += 3) {
+                words.push({
+                    content: tokens[i + 2],
+                    timestamp: Number(tokens[i]) / 1000,
+                    duration: Number(tokens[i + 1]) / 1000
+                });
+            }
+            if (words.length === 0) continue;
+            lyrics.push({
+                content: words.map(w => w.content).join(''),
+                timestamp: Number(m[1]) / 1000,
+                duration: Number(m[2]) / 1000,
+                words
+            });
+        }
+        lyrics.sort(MusicLyric.byTimestamp);
+        return { lyrics };
+    },
+    /**
+     * attach word timing of yrc lines to lrc lines with the same content,
+     * lines without a match keep line-level rendering
+     * @param {Lrc} base
+     * @param {Types.LyricObjectItem} yrc
+     */
+    attachWords(base, yrc) {
+        const normalize = str => str.replace(/\s+/g, '');
+        // timestamps of lrc and yrc can differ slightly
+        const tolerance = 1;
+        let j = 0;
+        for (const line of base.lyrics) {
+            while (j < yrc.lyrics.length && yrc.lyrics[j].timestamp < line.timestamp - tolerance) {
+                j++;
+            }
+            const content = normalize(line.content);
+            for (let k = j; k < yrc.lyrics.length && yrc.lyrics[k].timestamp <= line.timestamp + tolerance; k++) {
+                if (normalize(yrc.lyrics[k].content) === content) {
+                    line.words = yrc.lyrics[k].words;
+                    j = k + 1;
+                    break;
+                }
+            }
+        }
     }
 };
 
@@ -447,8 +606,9 @@ const MusicLyric = {
  * @returns {Promise<Types.MusicLyricRes>}
  */
 export async function getMusicLyric(id) {
-    const res = await client.postE('/song/lyric', { id, cp: false, lv: 0, tv: 0, kv: 0, rv: 0 });
-    let result = {};
+    const res = await client.postE('/song/lyric/v1', { id, cp: false, lv: 0, tv: 0, kv: 0, rv: 0, yv: 0, ytv: 0, yrv: 0 });
+    /** @type {Types.MusicLyricRes} */
+    let result = { yrc: null };
     if (res.lrc && res.lrc.lyric) {
         result.lyricUser = res.lyricUser;
         const lrc = Lrc.parse(res.lrc.lyric);
@@ -459,6 +619,14 @@ export async function getMusicLyric(id) {
             result.txtLyric = res.lrc.lyric;
         }
     }
+    if (res.yrc && res.yrc.lyric) {
+        const yrc = MusicLyric.parseYrc(res.yrc.lyric);
+        if (yrc.lyrics.length > 0) {
+            result.yrc = yrc;
+            // before merging, so that translated lyrics share the word timing
+            if (result.lrc) MusicLyric.attachWords(result.lrc, yrc);
+        }
+    }
     if (res.tlyric && res.tlyric.lyric) {
         result.transUser = res.transUser;
         const tlrc = Lrc.parse(res.tlyric.lyric);
@@ -471,6 +639,27 @@ export async function getMusicLyric(id) {
     return result;
 }
 
+/**
+ * read lyric of local file, from `.lrc` file next to it or embedded tags
+ * @param {string} filePath
+ * @returns {Promise<Types.MusicLyricRes>}
+ */
+export async function getLocalMusicLyric(filePath) {
+    let result = {};
+    if (!await isLocalMusicFile(filePath)) return result;
+    const text = await readLocalLyric(filePath).catch(() => '');
+    if (text) {
+        const lrc = Lrc.parse(text);
+        if (lrc.lyrics.length > 0) {
+            lrc.lyrics.sort(MusicLyric.byTimestamp);
+            result.lrc = lrc;
+        } else {
+            result.txtLyric = text;
+        }
+    }
+    return result;
+}
+
 /**
  * this maybe have been removed, use `sumbitFeedback` instead
  */
@@ -498,8 +687,10 @@ export function submitCount() {
 /**
  * tell netease I've started listening a song;
  * it's not necessary, for now ...
+ * the record is queued and retried until submitted
  * @param {number} id
  * @param {number} userId
+ * @returns {Types.PlayRecordQueueStats}
  */
 export function submitSongStartPlay(id, userId) {
     let json = {
@@ -507,15 +698,18 @@ export function submitSongStartPlay(id, userId) {
         type: 'song',
         content: `id=${userId}`
     };
-    return sumbitFeedback([{ action: 'startplay', json }]);
+    playRecordQueue.add('startplay', json);
+    return playRecordQueue.stats();
 }
 
 /**
- * tell netease I've finished listening a song
+ * tell netease I've finished listening a song;
+ * the record is queued and retried until submitted
  * @param {number} id
  * @param {number} time song duration, in seconds
  * @param {{name: string; id: string}} source
  * @param {number} userId
+ * @returns {Types.PlayRecordQueueStats}
  */
 export function submitSongPlayed(id, time, source, userId) {
     let json = {
@@ -531,7 +725,71 @@ export function submitSongPlayed(id, time, source, userId) {
         json.source = source.name;
         json.sourceId = `${source.id}`;
     }
-    return sumbitFeedback([{ action: 'play', json }]);
+    playRecordQueue.add('play', json);
+    return playRecordQueue.stats();
+}
+
+/**
+ * start submitting queued play records, should be called after login
+ * @returns {Types.PlayRecordQueueStats}
+ */
+export function startPlayRecordQueue() {
+    playRecordQueue.start();
+    return playRecordQueue.stats();
+}
+
+/**
+ * count of play records waiting for submission or given up
+ * @returns {Types.PlayRecordQueueStats}
+ */
+export function getPlayRecordStats() {
+    return playRecordQueue.stats();
+}
+
+/**
+ * submit failed play records again
+ */
+export function retryPlayRecords() {
+    playRecordQueue.retryFailed();
+}
+
+/**
+ * send "now playing" to scrobble service, not queued
+ * @param {Models.Track} track
+ */
+export async function scrobbleNowPlaying(track) {
+    const { scrobbleEnabled, offlineMode } = await Settings.get();
+    if (!scrobbleEnabled || offlineMode) return;
+    await scrobbleService.nowPlaying(track);
+}
+
+/**
+ * queue finished listen for scrobble service
+ * @param {Models.Track} track
+ * @param {number} listenedAt timestamp when track started playing
+ * @returns {Promise<Types.PlayRecordQueueStats>}
+ */
+export async function scrobble(track, listenedAt) {
+    const { scrobbleEnabled } = await Settings.get();
+    if (scrobbleEnabled) {
+        scrobbleQueue.add('listen', scrobbleService.listen(track, listenedAt));
+    }
+    return scrobbleQueue.stats();
+}
+
+/**
+ * count of listens waiting for scrobbling or given up
+ * @returns {Types.PlayRecordQueueStats}
+ */
+export function getScrobbleStats() {
+    return scrobbleQueue.stats();
+}
+
+/**
+ * scrobble failed listens again
+ */
+export function retryScrobble() {
+    scrobbleQueue.retryFailed();
 }
 
 export function getVipInfo() {
@@ -558,6 +816,14 @@ export async function getDataSize(type) {
     }
 }
 
+/**
+ * disk usage of music cache grouped by quality, downloaded files are not included
+ * @returns {Promise<Record<Types.MusicQuality | 'other', number>>}
+ */
+export function getMusicCacheUsage() {
+    return musicCache.getUsage();
+}
+
 /**
  * @param {Types.CacheType} type cache type
  * @returns {Promise<{ok: boolean; msg?: string}>}
@@ -596,16 +862,29 @@ export function getCurrentSettings() {
     return Settings.get();
 }
 
+/**
+ * @param {Settings.Value} settings
+ */
+function applyMusicCacheLimit({ musicCacheLimit }) {
+    musicCache.setLimit(musicCacheLimit * 1024 * 1024);
+    return musicCache.evict();
+}
+
 /**
  * write and save settings to file
  * @param {Settings.Value} target settings to write
  */
-export function writeSettings(target) {
-    Settings.set(target);
+export async function writeSettings(target) {
+    await Settings.set(target);
+    await applyMusicCacheLimit(target);
+    // may be back online, or scrobble endpoint changed
+    playRecordQueue.flush();
+    scrobbleQueue.flush();
 }
 
 export function resetSettings() {
     Settings.set(Settings.defaultSettings);
+    applyMusicCacheLimit(Settings.defaultSettings);
 }
 
 /**
@@ -636,8 +915,8 @@ export function getDailyTask() {
 }
 
 /**
- * add or remove tracks in playlist
- * @param {'add'|'del'} op opreation
+ * add or remove tracks in playlist, or reorder all of them with `update`
+ * @param {'add'|'del'|'update'} op opreation
  * @param {number} pid playlist id
  * @param {number[]} tracks track id
  */
@@ -670,6 +949,90 @@ export function uncollectTrack(pid, ...tracks) {
     return manipulatePlaylistTracks('del', pid, tracks);
 }
 
+/**
+ * 调整歌单中歌曲的顺序
+ * @param {number} pid playlist id
+ * @param {number[]} tracks all track id in new order
+ */
+export function reorderPlaylistTracks(pid, tracks) {
+    return manipulatePlaylistTracks('update', pid, tracks);
+}
+
+/**
+ * 新建歌单
+ * @param {string} name
+ * @param {boolean} [privacy=false] create as private playlist
+ * @returns {Promise<Types.CreatePlaylistRes>}
+ */
+export function createPlaylist(name, privacy = false) {
+    return client.postW('/playlist/create', {
+        name,
+        privacy: privacy ? 10 : 0,
+        type: 'NORMAL'
+    });
+}
+
+/**
+ * 删除歌单
+ * @param {number} id playlist id
+ */
+export function deletePlaylist(id) {
+    return client.postW('/playlist/remove', {
+        ids: JSON.stringify([id])
+    });
+}
+
+/**
+ * 修改歌单名称
+ * @param {number} id playlist id
+ * @param {string} name
+ */
+export function updatePlaylistName(id, name) {
+    return client.postW('/playlist/update/name', { id, name });
+}
+
+/**
+ * 修改歌单介绍
+ * @param {number} id playlist id
+ * @param {string} desc
+ */
+export function updatePlaylistDesc(id, desc) {
+    return client.postW('/playlist/desc/update', { id, desc });
+}
+
+/**
+ * 修改歌单标签，至多 3 个，且只能使用网易云音乐预设的标签
+ * @param {number} id playlist id
+ * @param {string[]} tags
+ */
+export function updatePlaylistTags(id, tags) {
+    return client.postW('/playlist/tags/update', {
+        id,
+        tags: tags.join(';')
+    });
+}
+
+/**
+ * 将隐私歌单设为公开，公开歌单无法再设为隐私
+ * @param {number} id playlist id
+ */
+export function publishPlaylist(id) {
+    return client.postW('/playlist/update/privacy', {
+        id,
+        privacy: 0
+    });
+}
+
+/**
+ * 调整创建的歌单的顺序
+ * @param {number[]} ids all created playlist id in new order
+ */
+export function updatePlaylistOrder(ids) {
+    return client.postW('/playlist/order/update', {
+        ids: JSON.stringify(ids)
+    });
+}
+
 const SearchTypes = {
     song: '1',
     album: '10',
@@ -1260,22 +1623,195 @@ export function likeSongE(trackId, like = true) {
 }
 
 /**
- * 下载歌曲
+ * 下载歌曲，加入下载队列后立即返回
  * @param {Models.Track} metadata
  * @param {Types.MusicQuality} quality
- * @returns {Promise<Types.DownloadSongRes>}
+ * @returns {Promise<Types.DownloadItem>}
+ */
+export async function downloadSong(metadata, quality) {
+    return downloader.enqueue(metadata, quality);
+}
+
+/**
+ * 批量下载歌曲，跳过已下载的歌曲，全部完成后推送 `download:batch` 事件
+ * @param {Models.Track[]} tracks
+ * @param {Types.MusicQuality} quality
+ * @param {string} name 歌单、专辑等的名称
+ */
+export async function downloadSongs(tracks, quality, name) {
+    return downloader.downloadBatch(tracks, quality, name);
+}
+
+/**
+ * 获取下载队列
+ * @returns {Promise<Types.DownloadItem[]>}
  */
-export function downloadSong(metadata, quality) {
-    return downloader.download(metadata, quality);
+export async function getDownloadQueue() {
+    return downloader.list();
+}
+
+/**
+ * 开始处理下载队列中等待的任务
+ */
+export async function startDownloadQueue() {
+    downloader.start();
+}
+
+/**
+ * 暂停下载
+ * @param {string} key
+ */
+export async function pauseDownload(key) {
+    downloader.pause(key);
+}
+
+/**
+ * 继续已暂停或重试失败的下载
+ * @param {string} key
+ */
+export async function resumeDownload(key) {
+    downloader.resume(key);
+}
+
+/**
+ * 取消下载并从队列中移除
+ * @param {string} key
+ */
+export function cancelDownload(key) {
+    return downloader.cancel(key);
+}
+
+/**
+ * 从队列中移除已完成的下载
+ */
+export async function clearDownloaded() {
+    downloader.clearCompleted();
 }
 
 /**
  * 检查是否已经下载
  * @param {Models.Track} metadata 
- * @returns {boolean}
+ * @returns {Promise<boolean>}
+ */
+export async function checkDownloaded(metadata) {
+    return downloader.check(metadata, await downloader.getOutputOptions());
+}
+
+/**
+ * 按当前歌曲信息重写下载目录中歌曲的标签，进度通过 `retag:progress` 事件推送，
+ * 完成后推送 `retag:done` 事件
+ * @returns {Promise<boolean>} 是否已开始，已有任务在进行时返回 `false`
  */
-export function checkDownloaded(metadata) {
-    return downloader.check(metadata);
+export async function retagLibrary() {
+    return downloader.retagLibrary();
+}
+
+/**
+ * 在已下载歌曲旁导出歌词文件，跳过未下载的歌曲，格式和内容取决于设置。
+ * 完成后推送 `lyricExport:done` 事件
+ * @param {Models.Track[]} tracks
+ * @param {Types.MusicLyricRes} [lyric] 只有一首歌曲时使用的歌词，未给出时从服务器获取
+ * @returns {boolean} 是否已开始，已有任务在进行时返回 `false`
+ */
+export function exportLyrics(tracks, lyric) {
+    return downloader.startLyricExport(tracks, lyric);
+}
+
+/**
+ * 导出歌单为 M3U8、XSPF 或 CSV 文件，格式取决于扩展名。
+ * M3U8 和 XSPF 中的本地歌曲和已下载的歌曲指向对应的文件，其余歌曲指向网页链接
+ * @param {string} filePath
+ * @param {string} name 歌单名称
+ * @param {Models.Track[]} tracks
+ * @returns {Promise<Types.PlaylistExportRes>}
+ */
+export async function exportPlaylist(filePath, name, tracks) {
+    try {
+        const format = playlistFormat(filePath);
+        let linked = 0;
+        const text = stringifyPlaylist(format, name, tracks, track => {
+            const file = track.localPath || musicCache.findExternal(track.id);
+            if (file && fs.existsSync(file)) {
+                linked++;
+                return file;
+            }
+        });
+        await fsp.writeFile(filePath, text, 'utf8');
+        return { code: 200, exported: tracks.length, linked };
+    } catch (e) {
+        throw { code: 500, error: e.message };
+    }
+}
+
+/**
+ * 读取 M3U8、XSPF 或 CSV 歌单文件
+ * @param {string} filePath
+ * @returns {Promise<Types.PlaylistFileRes>}
+ */
+export async function readPlaylistFile(filePath) {
+    try {
+        const text = await fsp.readFile(filePath, 'utf8');
+        const { name, entries } = parsePlaylist(playlistFormat(filePath), text);
+        return {
+            code: 200,
+            name: name || path.basename(filePath, path.extname(filePath)),
+            entries
+        };
+    } catch (e) {
+        throw { code: 500, error: e.message };
+    }
+}
+
+/**
+ * 导出本地听歌记录，根据扩展名选择 CSV 或 JSON 格式
+ * @param {string} filePath
+ * @param {object[]} records records in local history database of renderer
+ * @returns {Promise<Types.HistoryExportRes>}
+ */
+export async function exportPlayHistory(filePath, records) {
+    try {
+        let text;
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            text = JSON.stringify(records, null, 2);
+        } else {
+            const rows = [['Start', 'Title', 'Artist', 'Album', 'ID', 'Listened', 'Duration', 'Finished', 'Source']];
+            for (const r of records) {
+                rows.push([
+                    new Date(r.start).toISOString(),
+                    r.track.name,
+                    r.track.artists.map(ar => ar.name).join(' / '),
+                    r.track.album.name,
+                    r.track.id,
+                    Math.round(r.listened / 1000),
+                    Math.round(r.duration / 1000),
+                    r.finished ? 1 : 0,
+                    r.source ? r.source.name : ''
+                ]);
+            }
+            text = stringifyCSVRows(rows);
+        }
+        await fsp.writeFile(filePath, text, 'utf8');
+        return { code: 200, exported: records.length };
+    } catch (e) {
+        throw { code: 500, error: e.message };
+    }
+}
+
+/**
+ * 获取下载目录
+ * @returns {Promise<string>}
+ */
+export function getDownloadDir() {
+    return downloader.getOutputDir();
+}
+
+/**
+ * 扫描本地音乐目录，结果通过 `local:progress` 和 `local:done` 事件推送，
+ * 扫描失败时推送 `local:error` 事件
+ * @returns {boolean} `false` if already scanning
+ */
+export function scanLocalMusic() {
+    return localLibrary.scan();
 }
 
 /**
@@ -1478,3 +2014,22 @@ export function getPrivateCloudList(limit = 500, offset = 0) {
 export function removePrivateCloudItem(songIds) {
     return client.postE(`/cloud/del`, { songIds });
 }
+
+/**
+ * 上传文件到云盘，逐个上传，进度通过 `cloud:update` 事件推送
+ * @param {string[]} files
+ * @returns {Types.CloudUploadItem[]}
+ */
+export function uploadPrivateCloud(files) {
+    return cloudUploader.add(files);
+}
+
+/**
+ * 将云盘歌曲匹配到曲库中的歌曲
+ * @param {number} userId
+ * @param {number} songId 云盘歌曲 ID
+ * @param {number} adjustSongId 曲库歌曲 ID
+ */
+export function matchPrivateCloudItem(userId, songId, adjustSongId) {
+    return client.postW('/cloud/user/song/match', { userId, songId, adjustSongId });
+}
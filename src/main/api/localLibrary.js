@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'eventemitter3';
+
+import debug from 'debug';
+
+import * as Settings from '../settings';
+import { listFiles } from '../util/fs';
+import ID3 from './media/id3';
+import FLAC from './media/flac';
+import { getDuration as getMPEGDuration } from './media/mpeg';
+import { parseUint24, parseUint28 } from './media/utils';
+
+const d = debug('LocalLibrary');
+const fsPromises = fs.promises;
+
+/** extension name -> content type of supported audio files */
+export const AudioTypes = {
+    '.mp3': 'audio/mpeg',
+    '.flac': 'audio/flac'
+};
+
+/** emit `progress` once every such count of files scanned */
+const ProgressStep = 50;
+
+/**
+ * local tracks use negative ids derived from file path,
+ * so they never collide with songs from NetEase
+ * @param {string} file
+ * @returns {number}
+ */
+function localTrackId(file) {
+    const hash = createHash('md5').update(file).digest('hex');
+    // 48 bits is still a safe integer
+    return -Number.parseInt(hash.slice(0, 12), 16);
+}
+
+/**
+ * read the leading part of file containing all tags,
+ * audio frames are skipped so that large libraries could be scanned quickly
+ * @param {string} file
+ * @returns {Promise<Buffer>}
+ */
+async function readHead(file) {
+    const fd = await fsPromises.open(file, 'r');
+    try {
+        const head = Buffer.alloc(10);
+        const { bytesRead } = await fd.read(head, 0, 10, 0);
+        let length = 0;
+        if (ID3.validate(head)) {
+            length = 10 + parseUint28(head.slice(6, 10));
+        } else if (FLAC.validate(head)) {
+            // walk through headers of metadata blocks
+            const blockHead = Buffer.alloc(4);
+            length = 4;
+            let isLast = false;
+            while (!isLast) {
+                const { bytesRead } = await fd.read(blockHead, 0, 4, length);
+                if (bytesRead < 4) break;
+                isLast = Boolean(blockHead[0] & 0x80);
+                length += 4 + parseUint24(blockHead.slice(1, 4));
+            }
+        } else {
+            return head.slice(0, bytesRead);
+        }
+        const buf = Buffer.alloc(length);
+        const res = await fd.read(buf, 0, length, 0);
+        return buf.slice(0, res.bytesRead);
+    } finally {
+        await fd.close();
+    }
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {ID3 | FLAC | null}
+ */
+function parseMedia(buf) {
+    if (ID3.validate(buf)) return new ID3(buf);
+    if (FLAC.validate(buf)) return new FLAC(buf);
+    return null;
+}
+
+/**
+ * MP3 files seldom have `TLEN` tag, calculate duration from the first frame
+ * @param {string} file
+ * @param {number} offset where audio data starts, i.e. length of ID3 tag
+ * @returns {Promise<number>} duration in ms, `0` if unknown
+ */
+async function readMPEGDuration(file, offset) {
+    const fd = await fsPromises.open(file, 'r');
+    try {
+        const { size } = await fd.stat();
+        // large enough to skip padding and contain Xing/VBRI header
+        const buf = Buffer.alloc(4096);
+        const { bytesRead } = await fd.read(buf, 0, buf.length, offset);
+        return getMPEGDuration(buf.slice(0, bytesRead), size - offset);
+    } finally {
+        await fd.close();
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Types.LocalTrack>}
+ */
+export async function readLocalTrack(file) {
+    const head = await readHead(file);
+    const media = parseMedia(head);
+    const info = media ? media.readTags() : null;
+    let dt = info ? info.duration : 0;
+    if (dt === 0 && path.extname(file).toLowerCase() === '.mp3') {
+        dt = await readMPEGDuration(file, media instanceof ID3 ? head.length : 0);
+    }
+    const artists = info && info.artist
+        ? info.artist.split('/').map(name => name.trim()).filter(name => name.length > 0)
+        : [];
+    return {
+        id: localTrackId(file),
+        name: (info && info.title) || path.basename(file, path.extname(file)),
+        ar: artists.map(name => ({ id: 0, name })),
+        al: { id: 0, name: (info && info.album) || '', pic: -1 },
+        dt,
+        no: info ? Number.parseInt(info.track, 10) || 0 : 0,
+        cd: info ? info.disc.split('/')[0] : '',
+        localPath: file
+    };
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<number>} song id tagged when downloaded, `0` if not tagged
+ */
+export async function readNeteaseId(file) {
+    const media = parseMedia(await readHead(file));
+    return media ? Number(media.readTags().neteaseId) || 0 : 0;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Buffer | null>}
+ */
+export async function readLocalCover(file) {
+    const media = parseMedia(await readHead(file));
+    if (media instanceof ID3) return media.readAPICTag();
+    if (media instanceof FLAC) return media.readPicture();
+    return null;
+}
+
+/**
+ * find lyric for local file, `.lrc` file next to it is preferred
+ * @param {string} file
+ * @returns {Promise<string>}
+ */
+export async function readLocalLyric(file) {
+    const lrcPath = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.lrc`);
+    try {
+        return await fsPromises.readFile(lrcPath, 'utf8');
+    } catch (e) {
+        // no sidecar lyric file
+    }
+    const media = parseMedia(await readHead(file));
+    return media ? media.readTags().lyrics : '';
+}
+
+/**
+ * check if the file is a supported audio file inside configured folders,
+ * to prevent arbitrary files being read through music server
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+export async function isLocalMusicFile(file) {
+    if (!file || !path.isAbsolute(file)) return false;
+    if (!Object.prototype.hasOwnProperty.call(AudioTypes, path.extname(file).toLowerCase())) return false;
+    const { localMusicDirs } = await Settings.get();
+    return localMusicDirs.some(dir => {
+        const rel = path.relative(dir, file);
+        return rel.length > 0 && !rel.startsWith('..') && !path.isAbsolute(rel);
+    });
+}
+
+export default class LocalLibrary extends EventEmitter {
+    constructor() {
+        super();
+        this.scanning = false;
+    }
+
+    /**
+     * start scanning configured folders, emits `progress` and `done`,
+     * or `scanError` with message if scan could not be finished
+     * @returns {boolean} `false` if already scanning
+     */
+    scan() {
+        if (this.scanning) return false;
+        this.scanning = true;
+        this.doScan().catch(e => {
+            d('Scan failed: %s', e.message);
+            this.emit('scanError', e.message);
+        }).finally(() => {
+            this.scanning = false;
+        });
+        return true;
+    }
+
+    async doScan() {
+        const { localMusicDirs } = await Settings.get();
+        /** @type {Types.LocalScanResult} */
+        const result = { tracks: [], failed: [], unreadableDirs: [] };
+        /** @type {string[]} */
+        const files = [];
+        for (const dir of localMusicDirs) {
+            try {
+                const list = await listFiles(dir);
+                files.push(...list.filter(f => Object.prototype.hasOwnProperty.call(AudioTypes, path.extname(f).toLowerCase())));
+            } catch (e) {
+                // e.g. unmounted drive, tracks found before should be kept
+                d('Failed to list %s: %s', dir, e.message);
+                result.failed.push({ file: dir, reason: e.message });
+                result.unreadableDirs.push(dir);
+            }
+        }
+        const uniq = [...new Set(files)];
+        for (let i = 0; i < uniq.length; i++) {
+            try {
+                result.tracks.push(await readLocalTrack(uniq[i]));
+            } catch (e) {
+                result.failed.push({ file: uniq[i], reason: e.message });
+            }
+            if ((i + 1) % ProgressStep === 0 || i + 1 === uniq.length) {
+                this.emit('progress', { done: i + 1, total: uniq.length });
+            }
+        }
+        d('Scanned %d files, %d failed', uniq.length, result.failed.length);
+        this.emit('done', result);
+    }
+}
@@ -6,6 +6,7 @@ import {
     getJPEGColorDepth,
     getPNGColorDepth,
     parseUint24,
+    parseUint32,
     uint24toBuffer,
     uint32toBuffer,
     uint32toBufferR
@@ -55,6 +56,26 @@ function metadata2buffer(metadata) {
     ]);
 }
 
+/**
+ * @see https://www.xiph.org/vorbis/doc/v-comment.html
+ * @param {Buffer} data
+ * @returns {string[]}
+ */
+function decodeVorbisComment(data) {
+    // all lengths are little-endian here
+    const vendorLength = data.readUInt32LE(0);
+    let offset = 4 + vendorLength;
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    const comments = [];
+    for (let i = 0; i < count && offset < data.length; i++) {
+        const length = data.readUInt32LE(offset);
+        comments.push(data.slice(offset + 4, offset + 4 + length).toString('utf8'));
+        offset += 4 + length;
+    }
+    return comments;
+}
+
 /**
  * @see https://www.xiph.org/vorbis/doc/v-comment.html
  * @param {string[]} comments
@@ -83,6 +104,22 @@ async function encodeVorbisComment(comments) {
     };
 }
 
+/**
+ * @typedef FLACInfo
+ * @type {object}
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {string} albumArtist
+ * @property {string} track
+ * @property {string} disc
+ * @property {string} date
+ * @property {string} genre
+ * @property {string} neteaseId
+ * @property {string} lyrics
+ * @property {number} duration in ms, `0` if unknown
+ */
+
 /**
  * @see https://xiph.org/flac/format.html
  */
@@ -108,11 +145,99 @@ export default class FLAC {
         this.content = buf.slice(this.metadata.reduce((total, { length }) => {
             return total + length + 4;
         }, 4));
+        /** @type {string[]} */
         this.comments = [];
+        // take existing comments out, they would be written back in `toBuffer`
+        const commentBlock = this.metadata.find(({ type }) => type === 4);
+        if (commentBlock) {
+            this.comments = decodeVorbisComment(commentBlock.data);
+            this.metadata = this.metadata.filter(block => block !== commentBlock);
+        }
     }
 
     /**
-     * Add a key=value to comment data block
+     * Get values of comment with given name, case insensitive
+     * @param {string} name 
+     * @returns {string[]}
+     */
+    getComments(name) {
+        const prefix = `${name.toUpperCase()}=`;
+        return this.comments
+            .filter(c => c.slice(0, prefix.length).toUpperCase() === prefix)
+            .map(c => c.slice(prefix.length));
+    }
+
+    /**
+     * Remove comments with given names, case insensitive
+     * @param {...string} names 
+     */
+    removeComments(...names) {
+        const prefixes = names.map(name => `${name.toUpperCase()}=`);
+        this.comments = this.comments.filter(c => {
+            return !prefixes.some(prefix => c.slice(0, prefix.length).toUpperCase() === prefix);
+        });
+    }
+
+    /**
+     * Read commonly used comments, multiple values are joined with `/`
+     * @returns {FLACInfo}
+     */
+    readTags() {
+        const read = name => this.getComments(name).join('/');
+        return {
+            title: read('TITLE'),
+            artist: read('ARTIST'),
+            album: read('ALBUM'),
+            albumArtist: read('ALBUMARTIST'),
+            track: read('TRACKNUMBER'),
+            disc: read('DISCNUMBER'),
+            date: read('DATE'),
+            genre: read('GENRE'),
+            neteaseId: read('NETEASE_SONG_ID'),
+            lyrics: read('LYRICS'),
+            duration: this.getDuration()
+        };
+    }
+
+    /**
+     * Calculate duration from STREAMINFO block
+     * @returns {number} duration in ms, `0` if unknown
+     */
+    getDuration() {
+        const streamInfo = this.metadata.find(({ type }) => type === 0);
+        if (!streamInfo || streamInfo.data.length < 18) return 0;
+        const data = streamInfo.data;
+        // 20 bits sample rate, 3 bits channels, 5 bits bits per sample, 36 bits total samples
+        const sampleRate = (data[10] << 12) | (data[11] << 4) | (data[12] >> 4);
+        const totalSamples = (data[13] & 0x0f) * 2 ** 32 + data.readUInt32BE(14);
+        if (sampleRate === 0) return 0;
+        return Math.round(totalSamples / sampleRate * 1000);
+    }
+
+    /**
+     * Read attached picture, front cover is preferred
+     * @returns {Buffer | null}
+     */
+    readPicture() {
+        const pictures = this.metadata.filter(({ type }) => type === 6).map(({ data }) => {
+            let offset = 4;
+            offset += 4 + parseUint32(data.slice(offset, offset + 4)); // mime
+            offset += 4 + parseUint32(data.slice(offset, offset + 4)); // description
+            offset += 16; // width, height, color depth, color used
+            const length = parseUint32(data.slice(offset, offset + 4));
+            return {
+                type: parseUint32(data.slice(0, 4)),
+                picture: data.slice(offset + 4, offset + 4 + length)
+            };
+        });
+        const cover = pictures.find(p => p.type === 3) || pictures[0];
+        return cover ? cover.picture : null;
+    }
+
+    /**
+     * Add a key=value to comment data block.
+     * Vorbis comment allows multiple values with the same key,
+     * so call `removeComments` first to replace existing values
      * @param {string} name 
      * @param {string} text 
      */
@@ -152,6 +277,46 @@ export default class FLAC {
         this.addComment('TRACKNUMBER', text);
     }
 
+    /**
+     * Add album artist name
+     * @param {string} text 
+     */
+    addALBUMARTISTComment(text) {
+        this.addComment('ALBUMARTIST', text);
+    }
+
+    /**
+     * Add disc number of the album
+     * @param {string} text 
+     */
+    addDISCNUMBERComment(text) {
+        this.addComment('DISCNUMBER', text);
+    }
+
+    /**
+     * Add release date, e.g. `2020` or `2020-01-31`
+     * @param {string} text 
+     */
+    addDATEComment(text) {
+        this.addComment('DATE', text);
+    }
+
+    /**
+     * Add genre
+     * @param {string} text 
+     */
+    addGENREComment(text) {
+        this.addComment('GENRE', text);
+    }
+
+    /**
+     * Add lyrics, LRC format is recognized by most players
+     * @param {string} text 
+     */
+    addLYRICSComment(text) {
+        this.addComment('LYRICS', text);
+    }
+
     /**
      * Attach a picture
      * @param {Buffer} cover 
@@ -183,6 +348,8 @@ export default class FLAC {
             uint32toBuffer(cover.length),
             cover,
         ]);
+        // replace existing front cover
+        this.metadata = this.metadata.filter(block => block.type !== 6 || parseUint32(block.data.slice(0, 4)) !== 3);
         this.metadata.push({
             type: 6,
             isLast: false,
@@ -4,7 +4,8 @@ import {
     parseUint8,
     parseUint28,
     parseUint32,
-    uint28toBuffer
+    uint28toBuffer,
+    uint32toBuffer
 } from './utils';
 
 function getEncoding(text) {
@@ -22,6 +23,52 @@ function text2buffer(text) {
     ]);
 }
 
+/**
+ * @param {number} encoding 
+ * @param {Buffer} buf 
+ * @returns {string}
+ */
+function decodeText(encoding, buf) {
+    switch (encoding) {
+        case 0x01: // UTF-16 with BOM
+            if (buf[0] === 0xfe && buf[1] === 0xff) {
+                return Buffer.from(buf.slice(2)).swap16().toString('utf16le');
+            }
+            if (buf[0] === 0xff && buf[1] === 0xfe) {
+                return buf.slice(2).toString('utf16le');
+            }
+            return buf.toString('utf16le');
+        case 0x02: // UTF-16BE
+            return Buffer.from(buf.slice(0, buf.length & ~1)).swap16().toString('utf16le');
+        case 0x03:
+            return buf.toString('utf8');
+        default:
+            return buf.toString('latin1');
+    }
+}
+
+/**
+ * Split a terminated string from the beginning of buffer
+ * @param {number} encoding 
+ * @param {Buffer} buf 
+ * @returns {[string, Buffer]} decoded string and the rest
+ */
+function splitText(encoding, buf) {
+    // UTF-16 strings are terminated with `$00 00`
+    const wide = encoding === 0x01 || encoding === 0x02;
+    let end = -1;
+    for (let i = 0; i < buf.length; i += wide ? 2 : 1) {
+        if (buf[i] === 0x00 && (!wide || buf[i + 1] === 0x00)) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        return [decodeText(encoding, buf), Buffer.alloc(0)];
+    }
+    return [decodeText(encoding, buf.slice(0, end)), buf.slice(end + (wide ? 2 : 1))];
+}
+
 /**
  * @typedef ID3Tag
  * @type {object}
@@ -72,6 +119,22 @@ function tag2buffer(tag) {
     ]);
 }
 
+/**
+ * @typedef ID3Info
+ * @type {object}
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {string} albumArtist
+ * @property {string} track
+ * @property {string} disc
+ * @property {string} date
+ * @property {string} genre
+ * @property {string} neteaseId
+ * @property {string} lyrics
+ * @property {number} duration in ms, `0` if unknown
+ */
+
 /**
  * @see https://id3.org/id3v2.3.0
  * @see https://id3.org/id3v2.4.0-structure
@@ -120,11 +183,107 @@ export default class ID3 {
     }
 
     /**
-     * Add a text tag (which tagname starts with `T`)
+     * Get all tags with given name
+     * @param {string} tagname 
+     * @returns {ID3Tag[]}
+     */
+    getTags(tagname) {
+        return this.tags.filter(tag => tag.tagname === tagname);
+    }
+
+    /**
+     * Remove tags with given name
+     * @param {string} tagname 
+     * @param {(tag: ID3Tag) => boolean} [filter] only remove tags matches the filter
+     */
+    removeTags(tagname, filter = () => true) {
+        this.tags = this.tags.filter(tag => tag.tagname !== tagname || !filter(tag));
+    }
+
+    /**
+     * Read a text tag, multiple values are joined with `/`
+     * @param {string} tagname 
+     * @returns {string | null}
+     */
+    readTextTag(tagname) {
+        const [tag] = this.getTags(tagname);
+        if (!tag || tag.data.length < 1) return null;
+        return decodeText(tag.data[0], tag.data.slice(1))
+            .split('\0')
+            .filter(v => v.length > 0)
+            .join('/');
+    }
+
+    /**
+     * Read user defined text with given description
+     * @param {string} description 
+     * @returns {string | null}
+     */
+    readTXXXTag(description) {
+        for (const tag of this.getTags('TXXX')) {
+            const [desc, rest] = splitText(tag.data[0], tag.data.slice(1));
+            if (desc === description) {
+                return splitText(tag.data[0], rest)[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read unsynchronised lyrics
+     * @returns {string | null}
+     */
+    readUSLTTag() {
+        const [tag] = this.getTags('USLT');
+        if (!tag) return null;
+        // skip encoding and language
+        const [, rest] = splitText(tag.data[0], tag.data.slice(4));
+        return decodeText(tag.data[0], rest).replace(/\0+$/, '');
+    }
+
+    /**
+     * Read attached picture, front cover is preferred
+     * @returns {Buffer | null}
+     */
+    readAPICTag() {
+        const pictures = this.getTags('APIC').map(tag => {
+            const encoding = tag.data[0];
+            // MIME type is always ISO-8859-1
+            const [, rest] = splitText(0x00, tag.data.slice(1));
+            const [, picture] = splitText(encoding, rest.slice(1));
+            return { type: rest[0], picture };
+        });
+        const cover = pictures.find(p => p.type === 0x03) || pictures[0];
+        return cover ? cover.picture : null;
+    }
+
+    /**
+     * Read commonly used tags
+     * @returns {ID3Info}
+     */
+    readTags() {
+        return {
+            title: this.readTextTag('TIT2') || '',
+            artist: this.readTextTag('TPE1') || '',
+            album: this.readTextTag('TALB') || '',
+            albumArtist: this.readTextTag('TPE2') || '',
+            track: this.readTextTag('TRCK') || '',
+            disc: this.readTextTag('TPOS') || '',
+            date: this.readTextTag('TDRC') || this.readTextTag('TYER') || '',
+            genre: this.readTextTag('TCON') || '',
+            neteaseId: this.readTXXXTag('NETEASE_SONG_ID') || '',
+            lyrics: this.readUSLTTag() || '',
+            duration: Number.parseInt(this.readTextTag('TLEN'), 10) || 0
+        };
+    }
+
+    /**
+     * Add a text tag (which tagname starts with `T`), replacing the existing one
      * @param {string} tagname 
      * @param {string} text 
      */
     addTextTag(tagname, text) {
+        this.removeTags(tagname);
         this.addTag(tagname, Buffer.concat([
             getEncoding(text),
             text2buffer(text),
@@ -171,6 +330,93 @@ export default class ID3 {
         this.addTextTag('TRCK', String(no));
     }
 
+    /**
+     * Add album artist name(s)
+     * @param {string} text 
+     */
+    addTPE2Tag(text) {
+        this.addTextTag('TPE2', text);
+    }
+
+    /**
+     * Add disc number of the album
+     * @param {number} no 
+     */
+    addTPOSTag(no) {
+        this.addTextTag('TPOS', String(no));
+    }
+
+    /**
+     * Add recording time, e.g. `2020` or `2020-01-31`
+     * @param {string} text 
+     */
+    addTDRCTag(text) {
+        // replaced by TDRC in ID3v2.4
+        ['TYER', 'TDAT', 'TIME', 'TRDA'].forEach(name => this.removeTags(name));
+        this.addTextTag('TDRC', text);
+    }
+
+    /**
+     * Add genre
+     * @param {string} text 
+     */
+    addTCONTag(text) {
+        this.addTextTag('TCON', text);
+    }
+
+    /**
+     * Add user defined text
+     * @param {string} description 
+     * @param {string} text 
+     */
+    addTXXXTag(description, text) {
+        this.removeTags('TXXX', tag => splitText(tag.data[0], tag.data.slice(1))[0] === description);
+        this.addTag('TXXX', Buffer.concat([
+            getEncoding(description + text),
+            text2buffer(description),
+            text2buffer(text),
+        ]));
+    }
+
+    /**
+     * Add unsynchronised lyrics
+     * @param {string} text 
+     * @param {string} [lang] ISO-639-2 language code, `XXX` if unknown
+     */
+    addUSLTTag(text, lang = 'XXX') {
+        this.removeTags('USLT');
+        this.addTag('USLT', Buffer.concat([
+            getEncoding(text),
+            Buffer.from(lang),
+            // content descriptor: nothing
+            text2buffer(''),
+            text2buffer(text),
+        ]));
+    }
+
+    /**
+     * Add synchronised lyrics
+     * @param {{ timestamp: number, text: string }[]} lines timestamp in ms
+     * @param {string} [lang] ISO-639-2 language code, `XXX` if unknown
+     */
+    addSYLTTag(lines, lang = 'XXX') {
+        this.removeTags('SYLT');
+        this.addTag('SYLT', Buffer.concat([
+            getEncoding(lines.map(l => l.text).join('')),
+            Buffer.from(lang),
+            // time stamp format: milliseconds
+            Buffer.from([ 0x02 ]),
+            // content type: lyrics
+            Buffer.from([ 0x01 ]),
+            // content descriptor: nothing
+            text2buffer(''),
+            ...lines.map(({ timestamp, text }) => Buffer.concat([
+                text2buffer(text),
+                uint32toBuffer(Math.round(timestamp)),
+            ])),
+        ]));
+    }
+
     /**
      * Attach a picture
      * @param {Buffer} cover 
@@ -181,6 +427,11 @@ export default class ID3 {
             // invalid image
             return;
         }
+        this.removeTags('APIC', tag => {
+            // skip encoding and MIME type, remove front cover only
+            const mimeEnd = tag.data.indexOf(0x00, 1);
+            return mimeEnd > 0 && tag.data[mimeEnd + 1] === 0x03;
+        });
         this.addTag('APIC', Buffer.concat([
             // text encoding
             getEncoding(mime),
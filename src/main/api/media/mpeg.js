@@ -0,0 +1,107 @@
+/** bitrate in kbps, indexed by `[version === 1 ? 0 : 1][layer - 1][index]` */
+const Bitrates = [
+    [
+        [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    ],
+    [
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    ]
+];
+
+/** sample rate in Hz, indexed by version bits then sample rate index */
+const SampleRates = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+/**
+ * @typedef MPEGFrameHeader
+ * @type {object}
+ * @property {number} offset position of the frame in buffer
+ * @property {number} version `1`, `2`, or `2.5`
+ * @property {number} layer `1`, `2` or `3`
+ * @property {number} bitrate in bps
+ * @property {number} sampleRate in Hz
+ * @property {number} samples samples per frame
+ * @property {boolean} mono
+ */
+
+/**
+ * Find the first valid frame header
+ * @param {Buffer} buf
+ * @returns {MPEGFrameHeader | null}
+ */
+function findFrameHeader(buf) {
+    for (let i = 0; i + 4 <= buf.length; i++) {
+        if (buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) continue;
+        const versionBits = (buf[i + 1] >> 3) & 0x03;
+        const layerBits = (buf[i + 1] >> 1) & 0x03;
+        const bitrateIndex = buf[i + 2] >> 4;
+        const sampleRateIndex = (buf[i + 2] >> 2) & 0x03;
+        // reserved or free format values
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            continue;
+        }
+        const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+        const layer = 4 - layerBits;
+        let samples = 1152;
+        if (layer === 1) samples = 384;
+        else if (layer === 3 && version !== 1) samples = 576;
+        return {
+            offset: i,
+            version,
+            layer,
+            bitrate: Bitrates[version === 1 ? 0 : 1][layer - 1][bitrateIndex] * 1000,
+            sampleRate: SampleRates[versionBits][sampleRateIndex],
+            samples,
+            mono: (buf[i + 3] >> 6) === 3
+        };
+    }
+    return null;
+}
+
+/**
+ * Read frame count from Xing/Info or VBRI header in the first frame
+ * @param {Buffer} buf
+ * @param {MPEGFrameHeader} header
+ * @returns {number} `0` if not found
+ */
+function readFrameCount(buf, header) {
+    // Xing header follows side information
+    let sideInfo = header.mono ? 9 : 17;
+    if (header.version === 1) sideInfo = header.mono ? 17 : 32;
+    const xing = header.offset + 4 + sideInfo;
+    const tag = buf.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= buf.length) {
+        const flags = buf.readUInt32BE(xing + 4);
+        return flags & 0x01 ? buf.readUInt32BE(xing + 8) : 0;
+    }
+    // VBRI header is always 32 bytes after frame header
+    const vbri = header.offset + 36;
+    if (buf.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buf.length) {
+        return buf.readUInt32BE(vbri + 14);
+    }
+    return 0;
+}
+
+/**
+ * Calculate duration from the first frame, using frame count in Xing/VBRI
+ * header of VBR files, or bitrate for CBR files
+ * @param {Buffer} buf leading part of audio data, after ID3 tag if present
+ * @param {number} size size of audio data to the end of file
+ * @returns {number} duration in ms, `0` if unknown
+ */
+export function getDuration(buf, size) {
+    const header = findFrameHeader(buf);
+    if (header === null) return 0;
+    const frames = readFrameCount(buf, header);
+    if (frames > 0) {
+        return Math.round(frames * header.samples / header.sampleRate * 1000);
+    }
+    return Math.round((size - header.offset) * 8 / header.bitrate * 1000);
+}
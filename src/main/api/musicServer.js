@@ -1,5 +1,6 @@
 import fs from 'fs';
 import url from 'url';
+import path from 'path';
 import qs from 'querystring';
 import { createHash } from 'crypto';
 import { createServer } from 'http';
@@ -8,6 +9,10 @@ import debug from 'debug';
 
 import Cache from './cache';
 import { getMusicUrlE } from './index';
+import * as Settings from '../settings';
+import { AudioTypes, isLocalMusicFile, readLocalCover } from './localLibrary';
+import { getMIMEType } from './media/utils';
+import { MainURL } from '../util/constants';
 
 const d = debug('MusicServer');
 const fsPromises = fs.promises;
@@ -40,7 +45,8 @@ class MusicServer {
      */
     static getRange(req, total) {
         // <range-start> - <range-end> / <file-size>
-        const range = [0, total, 0];
+        // whole file is served if no range requested, e.g. `fetch` without `Range` header
+        const range = [0, total - 1, total];
         const rinfo = req.headers ? req.headers.range : null;
 
         if (rinfo) {
@@ -57,24 +63,51 @@ class MusicServer {
                     // ignore it
                 }
             }
-            if (range[1] === total) {
-                range[1]--;
+            if (range[1] >= total) {
+                range[1] = total - 1;
             }
-            range[2] = total;
         }
         return range;
     }
 
-    static buildHeaders(range) {
+    static buildHeaders(range, contentType = 'audio/mpeg') {
         return {
             'Cache-Control': 'no-cache, no-store',
             'Content-Length': range[1] - range[0] + 1,
-            'Content-Type': 'audio/mpeg',
+            'Content-Type': contentType,
             'Accept-Ranges': 'bytes',
             'Content-Range': `bytes ${range[0]}-${range[1]}/${range[2]}`
         };
     }
 
+    /**
+     * `206` for range requests, or `200` with whole file if no range requested
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {number[]} range
+     * @param {string} [contentType]
+     */
+    static writeHead(req, res, range, contentType) {
+        const headers = MusicServer.buildHeaders(range, contentType);
+        if (req.headers.range) {
+            res.writeHead(206, headers);
+        } else {
+            delete headers['Content-Range'];
+            res.writeHead(200, headers);
+        }
+    }
+
+    /**
+     * url of the same request with another quality, built from parsed query
+     * since `quality` may be missing from the original url
+     * @param {url.UrlWithStringQuery} location
+     * @param {qs.ParsedUrlQuery} params
+     * @param {string} quality
+     */
+    static qualityLocation(location, params, quality) {
+        return `${location.pathname}?${qs.stringify({ ...params, quality })}`;
+    }
+
     /**
      * try get music url
      * @param {number} id 
@@ -87,6 +120,51 @@ class MusicServer {
         return res.data[0];
     }
 
+    /**
+     * serve audio file in local music folders
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} filePath
+     */
+    async serveLocalFile(req, res, filePath) {
+        if (!await isLocalMusicFile(filePath)) {
+            d('Refused to serve local file %s', filePath);
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        try {
+            const stat = await fsPromises.stat(filePath);
+            const range = MusicServer.getRange(req, stat.size);
+            MusicServer.writeHead(req, res, range, AudioTypes[path.extname(filePath).toLowerCase()]);
+            fs.createReadStream(filePath, { start: range[0], end: range[1] }).pipe(res);
+        } catch (e) {
+            d('Failed to read local file %s: %s', filePath, e.message);
+            res.writeHead(404);
+            res.end();
+        }
+    }
+
+    /**
+     * serve cover picture embedded in audio file
+     * @param {import('http').ServerResponse} res
+     * @param {string | null} filePath `null` if no file found
+     */
+    async serveCover(res, filePath) {
+        const cover = filePath ? await readLocalCover(filePath).catch(() => null) : null;
+        if (!cover) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        const mime = getMIMEType(cover);
+        res.writeHead(200, {
+            'Content-Length': cover.length,
+            'Content-Type': mime === 'unknown' ? 'application/octet-stream' : mime
+        });
+        res.end(cover);
+    }
+
     /**
      * MusicServer HTTP request handler
      * @param {import('http').IncomingMessage} req
@@ -96,6 +174,25 @@ class MusicServer {
         const location = url.parse(req.url);
         const params = qs.parse(location.query);
         d('Request hit %s', location.path);
+        // let renderer page decode audio with Web Audio, origin of `file:` page is `null`
+        res.setHeader('Access-Control-Allow-Origin', new URL(MainURL).origin);
+        if (req.method === 'GET' && location.pathname.startsWith('/local')) {
+            const filePath = Array.isArray(params.path) ? params.path[0] : params.path;
+            if (location.pathname === '/local') {
+                await this.serveLocalFile(req, res, filePath);
+                return;
+            }
+            if (location.pathname === '/local/cover') {
+                await this.serveCover(res, await isLocalMusicFile(filePath) ? filePath : null);
+                return;
+            }
+        }
+        if (req.method === 'GET' && location.pathname === '/cover') {
+            // cover of downloaded music, available without network
+            const id = Array.isArray(params.id) ? params.id[0] : params.id;
+            await this.serveCover(res, this.cache.findExternal(id) || null);
+            return;
+        }
         // check unexpected request method or url
         if (req.method !== 'GET' || location.pathname !== '/music') {
             d('What a Terrible Failure');
@@ -105,7 +202,9 @@ class MusicServer {
         }
         const id = Array.isArray(params.id) ? params.id[0] : params.id;
         const quality = Array.isArray(params.quality) ? params.quality[0] : params.quality || 'l';
-        const ignoreCache = params.ignoreCache === 'true';
+        const { offlineMode } = await Settings.get();
+        // cached file could not be fetched again in offline mode, so keep it
+        const ignoreCache = params.ignoreCache === 'true' && !offlineMode;
         const fileName = `${id}${quality}`;
 
         // check higher first
@@ -114,9 +213,8 @@ class MusicServer {
 
         if (higherQuality !== false && isFromStart) {
             d('Higher quality found, redirect %s -> %s', quality, higherQuality);
-            const location = req.url.replace(/quality=\w+/, `quality=${higherQuality}`);
             res.statusCode = 302;
-            res.setHeader('Location', location);
+            res.setHeader('Location', MusicServer.qualityLocation(location, params, higherQuality));
             res.end();
             return;
         }
@@ -130,6 +228,7 @@ class MusicServer {
             } else {
                 const filePath = this.cache.fullPath(fileName);
                 d('Hit cache for music id=%d', id);
+                this.cache.touch(fileName);
                 let stat = await fsPromises.stat(filePath);
                 let range = MusicServer.getRange(req, stat.size);
                 let start = Date.now();
@@ -143,11 +242,26 @@ class MusicServer {
                     }
                     stat = newStat;
                 }
-                res.writeHead(206, MusicServer.buildHeaders(range));
+                MusicServer.writeHead(req, res, range);
                 fs.createReadStream(filePath, { start: range[0], end: range[1] }).pipe(res);
                 return;
             }
         }
+        if (offlineMode) {
+            // never reach network in offline mode, try other qualities instead
+            const available = await this.cache.findAvailable(id);
+            if (available !== false && available !== quality) {
+                d('Offline, redirect %s -> %s', quality, available);
+                res.statusCode = 302;
+                res.setHeader('Location', MusicServer.qualityLocation(location, params, available));
+                res.end();
+                return;
+            }
+            d('Offline, music id=%d not cached', id);
+            res.writeHead(503);
+            res.end();
+            return;
+        }
         try {
             const music = await this.getMusicUrl(Number.parseInt(id, 10), quality);
             d('Got URL for music id=%d', id);
@@ -156,7 +270,7 @@ class MusicServer {
             musicRes.body.pipe(fs.createWriteStream(this.cache.internalPath(fileName)));
 
             const range = MusicServer.getRange(req, +musicRes.headers.get('content-length'));
-            res.writeHead(206, MusicServer.buildHeaders(range));
+            MusicServer.writeHead(req, res, range);
 
             const checksum = createHash('md5');
             let receivedByteLength = 0;
@@ -177,6 +291,9 @@ class MusicServer {
                 const md5 = checksum.digest('hex');
                 if (md5 === music.md5.toLowerCase()) {
                     d('Finish downloading music id=%d, md5=%s', id, md5);
+                    this.cache.evict(fileName).then(removed => {
+                        if (removed.length > 0) d('Evicted %d cached files: %o', removed.length, removed);
+                    });
                 } else {
                     d('Download music id=%d hash mismatch, delete it ...', id);
                     this.cache.rm(fileName);
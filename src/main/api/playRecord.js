@@ -0,0 +1,199 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'eventemitter3';
+import * as Settings from '../settings';
+
+import debug from 'debug';
+
+const d = debug('PlayRecord');
+
+/**
+ * @enum {Types.PlayRecordQueueState}
+ */
+export const PlayRecordState = {
+    Pending: 'pending',
+    Failed: 'failed'
+};
+
+/** max count of records submitted in one request */
+const BatchSize = 20;
+/** delay before the first retry, doubled after each failure, in ms */
+const RetryDelay = 30 * 1000;
+/** max delay between two retries, in ms */
+const MaxRetryDelay = 60 * 60 * 1000;
+/** records are marked as failed after so many attempts */
+const MaxAttempts = 8;
+
+/**
+ * submit a batch of records
+ * @callback SubmitFunction
+ * @param {Types.PlayRecordQueueItem[]} batch
+ * @returns {Promise<string>} error message, empty if succeeded
+ */
+
+/**
+ * durable queue of play events, submitted with retry and backoff
+ */
+class PlayRecordQueue extends EventEmitter {
+    /**
+     * @param {string} queuePath file path to persist the queue
+     * @param {SubmitFunction} submit
+     */
+    constructor(queuePath, submit) {
+        super();
+        this.queuePath = queuePath;
+        this.submitBatch = submit;
+        /** @type {Types.PlayRecordQueueItem[]} */
+        this.items = [];
+        this.started = false;
+        this.flushing = false;
+        /** @type {ReturnType<typeof setTimeout>} */
+        this.timer = null;
+        this.loadQueue();
+    }
+
+    loadQueue() {
+        try {
+            this.items = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+        } catch (e) {
+            this.items = [];
+        }
+    }
+
+    saveQueue() {
+        fs.writeFileSync(this.queuePath, JSON.stringify(this.items, null, 2));
+    }
+
+    /**
+     * @returns {Types.PlayRecordQueueStats}
+     */
+    stats() {
+        const failed = this.items.filter(i => i.state === PlayRecordState.Failed).length;
+        return { pending: this.items.length - failed, failed };
+    }
+
+    emitUpdate() {
+        this.emit('update', this.stats());
+    }
+
+    /**
+     * @param {string} action
+     * @param {Record<string, any>} json record content
+     */
+    add(action, json) {
+        const now = Date.now();
+        this.items.push({
+            key: randomUUID(),
+            action,
+            json,
+            state: PlayRecordState.Pending,
+            timestamp: now,
+            attempts: 0,
+            nextTry: now,
+            error: ''
+        });
+        this.saveQueue();
+        this.emitUpdate();
+        this.flush();
+    }
+
+    /**
+     * start submitting, records are only queued before started
+     */
+    start() {
+        this.started = true;
+        this.flush();
+    }
+
+    /**
+     * move failed records back to pending and submit them
+     */
+    retryFailed() {
+        for (const item of this.items) {
+            if (item.state !== PlayRecordState.Failed) continue;
+            item.state = PlayRecordState.Pending;
+            item.attempts = 0;
+            item.nextTry = 0;
+            item.error = '';
+        }
+        this.saveQueue();
+        this.emitUpdate();
+        this.flush();
+    }
+
+    /**
+     * submit pending records that are due, and schedule the next attempt
+     */
+    async flush() {
+        if (!this.started || this.flushing) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.flushing = true;
+        const { offlineMode } = await Settings.get();
+        if (offlineMode) {
+            this.flushing = false;
+            return;
+        }
+        let due;
+        while ((due = this.dueItems()).length > 0) {
+            const batch = due.slice(0, BatchSize);
+            const error = await this.submit(batch);
+            if (error) {
+                d('submit %d records failed: %s', batch.length, error);
+                this.markFailed(batch, error);
+            } else {
+                const keys = new Set(batch.map(i => i.key));
+                this.items = this.items.filter(i => !keys.has(i.key));
+            }
+            this.saveQueue();
+            this.emitUpdate();
+            // one failure means the server is unreachable, wait for next retry
+            if (error) break;
+        }
+        this.flushing = false;
+        this.schedule();
+    }
+
+    dueItems() {
+        const now = Date.now();
+        return this.items.filter(i => i.state === PlayRecordState.Pending && i.nextTry <= now);
+    }
+
+    /**
+     * @param {Types.PlayRecordQueueItem[]} batch
+     * @returns {Promise<string>} error message, empty if succeeded
+     */
+    async submit(batch) {
+        try {
+            return await this.submitBatch(batch);
+        } catch (e) {
+            return e.message || String(e);
+        }
+    }
+
+    /**
+     * @param {Types.PlayRecordQueueItem[]} batch
+     * @param {string} error
+     */
+    markFailed(batch, error) {
+        const now = Date.now();
+        for (const item of batch) {
+            item.attempts++;
+            item.error = error;
+            if (item.attempts >= MaxAttempts) {
+                item.state = PlayRecordState.Failed;
+            } else {
+                item.nextTry = now + Math.min(RetryDelay * 2 ** (item.attempts - 1), MaxRetryDelay);
+            }
+        }
+    }
+
+    schedule() {
+        const pending = this.items.filter(i => i.state === PlayRecordState.Pending);
+        if (pending.length === 0) return;
+        const next = Math.min(...pending.map(i => i.nextTry));
+        this.timer = setTimeout(() => this.flush(), Math.max(next - Date.now(), 0));
+    }
+}
+
+export default PlayRecordQueue;
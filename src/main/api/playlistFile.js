@@ -0,0 +1,387 @@
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+import { decodeXML, encodeXML } from 'entities';
+
+/**
+ * @typedef {'m3u8' | 'xspf' | 'csv'} PlaylistFormat
+ * @typedef {(track: Models.Track) => string | undefined} FindFile
+ */
+
+/** extension name -> playlist file format */
+const Extensions = {
+    '.m3u8': 'm3u8',
+    '.m3u': 'm3u8',
+    '.xspf': 'xspf',
+    '.csv': 'csv'
+};
+
+const SongURL = 'https://music.163.com/song?id=';
+const SongURLRegexp = /music\.163\.com\/(?:#\/)?song\?id=(\d+)/;
+
+/**
+ * @param {string} filePath
+ * @returns {PlaylistFormat | undefined}
+ */
+export function playlistFormat(filePath) {
+    return Extensions[path.extname(filePath).toLowerCase()];
+}
+
+/**
+ * @param {Models.Track} track
+ */
+function artistOf(track) {
+    return track.artists.map(ar => ar.name).join('/');
+}
+
+/**
+ * NetEase song id in url or file path, `0` if not found
+ * @param {string} location
+ */
+function songIdOf(location) {
+    const match = SongURLRegexp.exec(location);
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * guess title and artist from text in `Artist - Title` form, or file name
+ * @param {string} text
+ * @returns {{ title: string, artist: string }}
+ */
+function splitTitle(text) {
+    const i = text.indexOf(' - ');
+    if (i === -1) return { title: text.trim(), artist: '' };
+    return { title: text.slice(i + 3).trim(), artist: text.slice(0, i).trim() };
+}
+
+/**
+ * @param {string} location
+ */
+function nameOfLocation(location) {
+    let file = location;
+    if (location.startsWith('file:')) {
+        try {
+            file = fileURLToPath(location);
+        } catch (e) {
+            // keep it as is
+        }
+    }
+    return path.basename(file.replace(/\\/g, '/'), path.extname(file));
+}
+
+/**
+ * @param {Partial<Types.PlaylistFileEntry>} entry
+ * @returns {Types.PlaylistFileEntry}
+ */
+function normalizeEntry(entry) {
+    const location = entry.location || '';
+    const result = {
+        title: entry.title || '',
+        artist: entry.artist || '',
+        album: entry.album || '',
+        duration: entry.duration || 0,
+        location,
+        id: entry.id || songIdOf(location)
+    };
+    if (!result.title && !result.id && location) {
+        const guess = splitTitle(nameOfLocation(location));
+        result.title = guess.title;
+        result.artist = result.artist || guess.artist;
+    }
+    return result;
+}
+
+/**
+ * @param {string} name
+ * @param {Models.Track[]} tracks
+ * @param {FindFile} findFile
+ */
+function stringifyM3U8(name, tracks, findFile) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+    for (const t of tracks) {
+        const file = findFile(t);
+        lines.push(`#EXTINF:${Math.round(t.duration / 1000)},${artistOf(t)} - ${t.name}`);
+        if (file && t.id > 0) {
+            // keep song id for importing, ignored by other players
+            lines.push(`#EXTURL:${SongURL}${t.id}`);
+        }
+        lines.push(file || `${SongURL}${t.id}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {string} text
+ * @returns {{ name: string, entries: Types.PlaylistFileEntry[] }}
+ */
+function parseM3U8(text) {
+    let name = '';
+    const entries = [];
+    let info = null;
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice(10).trim();
+        } else if (line.startsWith('#EXTINF:')) {
+            const match = /^#EXTINF:(-?[\d.]+)[^,]*,(.*)$/.exec(line);
+            if (match) {
+                const seconds = Number(match[1]);
+                info = { ...info, ...splitTitle(match[2]), duration: seconds > 0 ? seconds * 1000 : 0 };
+            }
+        } else if (line.startsWith('#EXTURL:')) {
+            info = { ...info, id: songIdOf(line) };
+        } else if (!line.startsWith('#')) {
+            entries.push(normalizeEntry({ ...info, location: line }));
+            info = null;
+        }
+    }
+    return { name, entries };
+}
+
+/**
+ * @param {string} name
+ * @param {Models.Track[]} tracks
+ * @param {FindFile} findFile
+ */
+function stringifyXSPF(name, tracks, findFile) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${encodeXML(name)}</title>`,
+        '  <trackList>'
+    ];
+    for (const t of tracks) {
+        const file = findFile(t);
+        lines.push('    <track>');
+        if (file) {
+            lines.push(`      <location>${encodeXML(pathToFileURL(file).href)}</location>`);
+        }
+        if (t.id > 0) {
+            lines.push(`      <identifier>${SongURL}${t.id}</identifier>`);
+        }
+        lines.push(`      <title>${encodeXML(t.name)}</title>`);
+        lines.push(`      <creator>${encodeXML(artistOf(t))}</creator>`);
+        if (t.album && t.album.name) {
+            lines.push(`      <album>${encodeXML(t.album.name)}</album>`);
+        }
+        if (t.duration) {
+            lines.push(`      <duration>${t.duration}</duration>`);
+        }
+        lines.push('    </track>');
+    }
+    lines.push('  </trackList>', '</playlist>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * text content of the first `tag` element in xml fragment
+ * @param {string} xml
+ * @param {string} tag
+ */
+function xmlText(xml, tag) {
+    const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`).exec(xml);
+    if (!match) return '';
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+    return cdata ? cdata[1] : decodeXML(match[1]).trim();
+}
+
+/**
+ * @param {string} text
+ * @returns {{ name: string, entries: Types.PlaylistFileEntry[] }}
+ */
+function parseXSPF(text) {
+    const head = text.split(/<trackList\b/)[0];
+    const entries = [];
+    const regexp = /<track\b[^>]*>([\s\S]*?)<\/track>/g;
+    let match;
+    while ((match = regexp.exec(text)) !== null) {
+        const xml = match[1];
+        const location = xmlText(xml, 'location');
+        entries.push(normalizeEntry({
+            title: xmlText(xml, 'title'),
+            artist: xmlText(xml, 'creator'),
+            album: xmlText(xml, 'album'),
+            duration: Number(xmlText(xml, 'duration')) || 0,
+            location,
+            id: songIdOf(xmlText(xml, 'identifier')) || songIdOf(location)
+        }));
+    }
+    return { name: xmlText(head, 'title'), entries };
+}
+
+const CsvHeader = ['Title', 'Artist', 'Album', 'Duration', 'ID'];
+
+/** lower cased column name -> field, recognizing exports of other services */
+const CsvColumns = {
+    title: 'title',
+    name: 'title',
+    track: 'title',
+    'track name': 'title',
+    song: 'title',
+    '歌曲': 'title',
+    '歌曲名': 'title',
+    '歌名': 'title',
+    '标题': 'title',
+    artist: 'artist',
+    artists: 'artist',
+    'artist name': 'artist',
+    'artist name(s)': 'artist',
+    singer: 'artist',
+    '歌手': 'artist',
+    '艺术家': 'artist',
+    album: 'album',
+    'album name': 'album',
+    '专辑': 'album',
+    duration: 'duration',
+    length: 'duration',
+    '时长': 'duration',
+    id: 'id'
+};
+
+/**
+ * @param {string | number} field
+ */
+function csvField(field) {
+    const s = String(field);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {(string | number)[][]} rows
+ */
+export function stringifyCSVRows(rows) {
+    // BOM for spreadsheet apps to recognize UTF-8
+    return '\ufeff' + rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {Models.Track[]} tracks
+ */
+function stringifyCSV(tracks) {
+    const rows = [CsvHeader];
+    for (const t of tracks) {
+        const album = t.album ? t.album.name : '';
+        rows.push([t.name, artistOf(t), album, Math.round(t.duration / 1000), t.id > 0 ? t.id : '']);
+    }
+    return stringifyCSVRows(rows);
+}
+
+/**
+ * RFC 4180 csv parser
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * @param {string} text `m:ss` or seconds
+ */
+function parseDuration(text) {
+    const parts = text.trim().split(':').map(Number);
+    if (parts.some(Number.isNaN)) return 0;
+    return parts.reduce((sum, p) => sum * 60 + p, 0) * 1000;
+}
+
+/**
+ * @param {string} text
+ * @returns {{ name: string, entries: Types.PlaylistFileEntry[] }}
+ */
+function parseCSV(text) {
+    const rows = parseCSVRows(text);
+    if (rows.length === 0) return { name: '', entries: [] };
+    let columns = rows[0].map(h => CsvColumns[h.trim().toLowerCase()]);
+    let body = rows.slice(1);
+    if (!columns.includes('title')) {
+        // no header, assume title, artist and album
+        columns = ['title', 'artist', 'album'];
+        body = rows;
+    }
+    const entries = body.map(row => {
+        const entry = {};
+        columns.forEach((col, i) => {
+            if (col && row[i] !== undefined && entry[col] === undefined) {
+                entry[col] = row[i].trim();
+            }
+        });
+        return normalizeEntry({
+            ...entry,
+            duration: entry.duration ? parseDuration(entry.duration) : 0,
+            id: Number(entry.id) || 0
+        });
+    });
+    return { name: '', entries };
+}
+
+/**
+ * @param {PlaylistFormat} format
+ * @param {string} name
+ * @param {Models.Track[]} tracks
+ * @param {FindFile} findFile path of local or downloaded file of track
+ * @returns {string}
+ */
+export function stringifyPlaylist(format, name, tracks, findFile) {
+    switch (format) {
+        case 'm3u8':
+            return stringifyM3U8(name, tracks, findFile);
+        case 'xspf':
+            return stringifyXSPF(name, tracks, findFile);
+        case 'csv':
+            return stringifyCSV(tracks);
+    }
+    throw new Error(`Unknown playlist format: ${format}`);
+}
+
+/**
+ * @param {PlaylistFormat} format
+ * @param {string} text
+ * @returns {{ name: string, entries: Types.PlaylistFileEntry[] }}
+ */
+export function parsePlaylist(format, text) {
+    const content = text.replace(/^\ufeff/, '');
+    switch (format) {
+        case 'm3u8':
+            return parseM3U8(content);
+        case 'xspf':
+            return parseXSPF(content);
+        case 'csv':
+            return parseCSV(content);
+    }
+    throw new Error(`Unknown playlist format: ${format}`);
+}
@@ -0,0 +1,93 @@
+import { app } from 'electron';
+import fetch from 'electron-fetch';
+import * as Settings from '../settings';
+
+import debug from 'debug';
+
+const d = debug('Scrobbler');
+
+/**
+ * a service that keeps listening history, like ListenBrainz
+ * @typedef {object} ScrobbleService
+ * @property {(track: Models.Track) => Promise<void>} nowPlaying tell the service that track started playing
+ * @property {(track: Models.Track, listenedAt: number) => Record<string, any>} listen
+ * build record of a finished listen, to be queued
+ * @property {(listens: Record<string, any>[]) => Promise<string>} submit
+ * submit queued listens, returns error message or empty string if succeeded
+ */
+
+/**
+ * @param {Models.Track} track
+ */
+function trackMetadata(track) {
+    const additionalInfo = {
+        duration_ms: track.duration || undefined,
+        tracknumber: track.no || undefined,
+        submission_client: Settings.productName,
+        submission_client_version: app.getVersion()
+    };
+    if (!track.localPath) {
+        additionalInfo.music_service = 'music.163.com';
+        additionalInfo.origin_url = `https://music.163.com/song?id=${track.id}`;
+    }
+    return {
+        artist_name: track.artistName,
+        track_name: track.name,
+        release_name: track.album.name || undefined,
+        additional_info: additionalInfo
+    };
+}
+
+/**
+ * ListenBrainz compatible service, endpoint and user token come from settings
+ * @see https://listenbrainz.readthedocs.io/en/latest/users/api/core.html
+ * @type {ScrobbleService}
+ */
+export const ListenBrainz = {
+    async nowPlaying(track) {
+        let error;
+        try {
+            error = await submitListens('playing_now', [{ track_metadata: trackMetadata(track) }]);
+        } catch (e) {
+            error = e.message;
+        }
+        // "now playing" is transient, not worth retrying
+        if (error) d('now playing failed: %s', error);
+    },
+    listen(track, listenedAt) {
+        return {
+            listened_at: Math.round(listenedAt / 1000),
+            track_metadata: trackMetadata(track)
+        };
+    },
+    submit(listens) {
+        return submitListens(listens.length > 1 ? 'import' : 'single', listens);
+    }
+};
+
+/**
+ * @param {'playing_now' | 'single' | 'import'} type
+ * @param {Record<string, any>[]} payload
+ * @returns {Promise<string>} error message, empty if succeeded
+ */
+async function submitListens(type, payload) {
+    const { scrobbleUrl, scrobbleToken } = await Settings.get();
+    if (!scrobbleUrl || !scrobbleToken) return 'endpoint or token not set';
+    const res = await fetch(`${scrobbleUrl.replace(/\/+$/, '')}/1/submit-listens`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Token ${scrobbleToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ listen_type: type, payload })
+    });
+    if (res.ok) return '';
+    let message = `HTTP ${res.status}`;
+    try {
+        const body = await res.json();
+        if (body.error) message += `: ${body.error}`;
+    } catch (e) {
+        // not json
+    }
+    return message;
+}
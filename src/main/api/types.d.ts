@@ -574,9 +574,21 @@ namespace Types {
             content: string;
             timestamp: number;
             trans?: string;
+            /** line duration in seconds, only for yrc */
+            duration?: number;
+            /** word-by-word timing, absent if not available */
+            words?: LyricWord[];
         }[]
     }
 
+    export interface LyricWord {
+        content: string;
+        /** in seconds */
+        timestamp: number;
+        /** in seconds */
+        duration: number;
+    }
+
     export interface LyricAuthor {
         demand: number;
         id: number;
@@ -593,6 +605,12 @@ namespace Types {
         romalrc?: LyricObjectItem;
         transUser: LyricAuthor;
         txtLyric?: string;
+        /** word-by-word lyric, `null` if the track has none */
+        yrc?: LyricObjectItem;
+        /** replaced by user's own lyric, set in renderer */
+        custom?: boolean;
+        /** user's time offset in seconds, set in renderer */
+        offset?: number;
     }
 
     export interface DailyTaskRes extends ApiRes {
@@ -618,6 +636,11 @@ namespace Types {
         count: number;
     }
 
+    export interface CreatePlaylistRes extends ApiRes {
+        id: number;
+        playlist: PlaylistDetail;
+    }
+
     export interface SearchSuggestArtist {
         id: number;
         name: string;
@@ -2099,6 +2122,91 @@ namespace Types {
         url?: string;
     }
 
+    export type DownloadState = 'pending' | 'downloading' | 'paused' | 'failed' | 'completed';
+
+    export interface DownloadItem {
+        /** `${id}${quality}` */
+        key: string;
+        metadata: Models.Track;
+        quality: MusicQuality;
+        state: DownloadState;
+        /** downloaded bytes */
+        received: number;
+        /** total bytes, `0` if unknown */
+        total: number;
+        error: string;
+        /** output file path when completed */
+        url: string;
+        addTime: number;
+        /** id of batch the task belongs to */
+        batch?: string;
+    }
+
+    export interface DownloadBatchSummary {
+        name: string;
+        succeeded: Models.Track[];
+        skipped: Models.Track[];
+        failed: { track: Models.Track; reason: string }[];
+        paused: Models.Track[];
+    }
+
+    export interface LyricExportSummary {
+        exported: number;
+        /** local tracks and tracks without timed lyric */
+        skipped: number;
+        notDownloaded: number;
+        failed: { track: Models.Track; reason: string }[];
+    }
+
+    export interface RetagSummary {
+        total: number;
+        updated: number;
+        skipped: number;
+        failed: { file: string; reason: string }[];
+    }
+
+    /** raw track read from local file, in the shape accepted by `Models.Track` constructor */
+    export interface LocalTrack {
+        /** negative, derived from file path */
+        id: number;
+        name: string;
+        ar: { id: number; name: string }[];
+        al: { id: number; name: string; pic: number };
+        /** duration in ms, `0` if unknown */
+        dt: number;
+        no: number;
+        cd: string;
+        localPath: string;
+    }
+
+    export interface LocalScanResult {
+        tracks: LocalTrack[];
+        failed: { file: string; reason: string }[];
+        /** folders could not be listed, stored tracks in them should be kept */
+        unreadableDirs: string[];
+    }
+
+    export type PlayRecordQueueState = 'pending' | 'failed';
+
+    export interface PlayRecordQueueItem {
+        key: string;
+        /** `startplay` or `play`, as in weblog */
+        action: string;
+        json: Record<string, any>;
+        state: PlayRecordQueueState;
+        /** when the event happened */
+        timestamp: number;
+        attempts: number;
+        /** timestamp of next submission attempt */
+        nextTry: number;
+        error: string;
+    }
+
+    export interface PlayRecordQueueStats {
+        pending: number;
+        failed: number;
+    }
+
     export interface PrivateCloudListItem {
         simpleSong: EApi.Song;
         addTime: number;
@@ -2123,6 +2231,49 @@ namespace Types {
         upgradeSign: number;
         hasMore: boolean;
     }
+
+    export type CloudUploadState = 'pending' | 'hashing' | 'uploading' | 'submitting' | 'completed' | 'failed';
+
+    export interface CloudUploadItem {
+        file: string;
+        /** file name with extension */
+        name: string;
+        state: CloudUploadState;
+        /** in bytes */
+        size: number;
+        uploaded: number;
+        /** id of song in private cloud, when completed */
+        songId: number;
+        error: string;
+    }
+
+    export interface PlaylistFileEntry {
+        title: string;
+        artist: string;
+        album: string;
+        /** in milliseconds, `0` if unknown */
+        duration: number;
+        /** file path or url */
+        location: string;
+        /** NetEase song id, `0` if unknown */
+        id: number;
+    }
+
+    export interface PlaylistFileRes extends ApiRes {
+        /** empty if the file does not name the playlist */
+        name: string;
+        entries: PlaylistFileEntry[];
+    }
+
+    export interface PlaylistExportRes extends ApiRes {
+        exported: number;
+        /** tracks pointing at local or downloaded files */
+        linked: number;
+    }
+
+    export interface HistoryExportRes extends ApiRes {
+        exported: number;
+    }
 }
 
 export as namespace Types;
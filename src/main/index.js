@@ -1,7 +1,7 @@
 import { join } from 'path';
-import { app, BrowserWindow, ipcMain, Menu, nativeTheme, shell } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, Menu, nativeTheme, screen, shell } from 'electron';
 
-import { IsDev, IsDarwin, MainURL, LoginURL } from './util/constants';
+import { IsDev, IsDarwin, MainURL, LoginURL, LyricURL } from './util/constants';
 import * as Settings from './settings';
 import { AppTray } from './tray';
 
@@ -21,6 +21,10 @@ const preventQuitHandler = ev => {
 let mainWindow;
 /** @type {import('electron').BrowserWindow} */
 let loginWindow;
+/** @type {import('electron').BrowserWindow} */
+let lyricWindow;
+/** last lyric line sent from main window, for newly created lyric window */
+let lyricLine = { content: '', trans: '', next: '' };
 /** @type {AppTray} */
 let appTray;
 
@@ -78,6 +82,13 @@ function createMainWindow(settings, url = MainURL) {
         win.on('close', preventQuitHandler);
     }
 
+    win.on('closed', () => {
+        // lyric window should not keep App alive, unless main window is being recreated
+        if (mainWindow === win) {
+            destroyLyricWindow();
+        }
+    });
+
     switch (process.platform) {
         case 'linux':
             try {
@@ -95,6 +106,55 @@ function createMainWindow(settings, url = MainURL) {
     return win;
 }
 
+/**
+ * frameless, always-on-top and click-through window at the bottom of screen
+ * @param {import('./settings').defaultSettings} settings
+ */
+function createLyricWindow(settings) {
+    if (lyricWindow) return;
+    const { workArea } = screen.getPrimaryDisplay();
+    const width = Math.min(1000, workArea.width);
+    const height = 120;
+    lyricWindow = new BrowserWindow({
+        width,
+        height,
+        x: workArea.x + Math.round((workArea.width - width) / 2),
+        y: workArea.y + workArea.height - height - 40,
+        frame: false,
+        transparent: true,
+        resizable: false,
+        movable: false,
+        focusable: false,
+        skipTaskbar: true,
+        alwaysOnTop: true,
+        hasShadow: false,
+        title: `Desktop Lyric - ${Settings.productName}`,
+        webPreferences: {
+            preload: join(__dirname, 'preload.js'),
+            sandbox: true,
+            nodeIntegration: false,
+            contextIsolation: true,
+            spellcheck: false,
+            additionalArguments: [`--initial-settings=${JSON.stringify(settings)}`]
+        }
+    });
+    lyricWindow.setIgnoreMouseEvents(true);
+    lyricWindow.webContents.on('did-finish-load', () => {
+        lyricWindow.webContents.send('DesktopLyric', 'line', lyricLine);
+    });
+    lyricWindow.on('closed', () => {
+        lyricWindow = null;
+    });
+    lyricWindow.loadURL(LyricURL);
+}
+
+function destroyLyricWindow() {
+    if (lyricWindow) {
+        lyricWindow.destroy();
+        lyricWindow = null;
+    }
+}
+
 if (app.requestSingleInstanceLock()) {
     app.allowRendererProcessReuse = true;
     app.on('ready', async () => {
@@ -104,6 +164,9 @@ if (app.requestSingleInstanceLock()) {
             Menu.setApplicationMenu(null);
         }
         mainWindow = createMainWindow(settings);
+        if (settings.desktopLyric) {
+            createLyricWindow(settings);
+        }
         if (settings.showTrayIcon) {
             appTray = new AppTray(settings.trayIconVariety);
             appTray.bindWindow(mainWindow);
@@ -176,6 +239,18 @@ ipcMain.on('Settings', async (event, /** @type {string} */ type, ...args) => {
                 appTray.setColor(args[0]);
             }
             break;
+        case 'desktopLyric':
+            if (args[0] === true) {
+                createLyricWindow(await Settings.get());
+            } else {
+                destroyLyricWindow();
+            }
+            break;
+        case 'themePrimaryColor':
+            if (lyricWindow) {
+                lyricWindow.webContents.send('DesktopLyric', 'color', args[0]);
+            }
+            break;
         case 'exitOnWindowClose':
             if (IsDarwin) return;
             shouldAppQuit = args[0];
@@ -188,6 +263,24 @@ ipcMain.on('Settings', async (event, /** @type {string} */ type, ...args) => {
     }
 });
 
+ipcMain.on('DesktopLyric', (event, /** @type {string} */ type, ...args) => {
+    switch (type) {
+        case 'line':
+            lyricLine = args[0];
+            if (lyricWindow) {
+                lyricWindow.webContents.send('DesktopLyric', 'line', lyricLine);
+            }
+            if (process.platform === 'linux') {
+                try {
+                    require('./mpris/ipc').updateLyric(lyricLine);
+                } catch (e) {
+                    // MPRIS module failed to load, already logged
+                }
+            }
+            break;
+    }
+});
+
 ipcMain.on('showLoginWindow', () => {
     loginWindow = new BrowserWindow({
         height: 700,
@@ -283,3 +376,11 @@ ipcMain.handle('controlWebContents', async (event, method, ...args) => {
 ipcMain.handle('openExternal', (event, url) => {
     return shell.openExternal(url);
 });
+
+ipcMain.handle('showOpenDialog', (event, options) => {
+    return dialog.showOpenDialog(mainWindow, options);
+});
+
+ipcMain.handle('showSaveDialog', (event, options) => {
+    return dialog.showSaveDialog(mainWindow, options);
+});
@@ -9,7 +9,7 @@ const d = debug(TAG);
 let msgId = 0;
 //      method/setter      ipc
 // DBus ------------> Main --> Renderer
-const DBusEvents = ['raise', 'quit', 'next', 'prev', 'play', 'pause', 'stop', 'seek', 'volume', 'position', 'shuffle', 'loop'];
+const DBusEvents = ['raise', 'quit', 'next', 'prev', 'play', 'pause', 'stop', 'seek', 'volume', 'position', 'shuffle', 'loop', 'goto', 'addtrack', 'removetrack', 'activateplaylist', 'sleep', 'rate'];
 
 ipcMain.on(TAG, (_, /** @type {string} */ type, ...args) => {
     d('↓ %s', type);
@@ -63,6 +63,14 @@ export function bindWebContents(wc) {
     });
 }
 
+/**
+ * current lyric line from main window, exported as `Lyric` interface
+ * @param {{ content: string, trans: string }} line
+ */
+export function updateLyric(line) {
+    mpris.emit('lyric', line);
+}
+
 export function destroy() {
     mpris.destroy();
 }
@@ -2,7 +2,7 @@ import { EventEmitter } from 'eventemitter3';
 
 import debug from 'debug';
 import throttle from 'lodash/throttle';
-import { sessionBus, NameFlag, Variant, interface as DbusInterface } from 'dbus-next';
+import { sessionBus, NameFlag, Variant, DBusError, interface as DbusInterface } from 'dbus-next';
 const { signal, method, property, Interface, ACCESS_READ, ACCESS_READWRITE } = DbusInterface;
 
 import { Timer } from './timer';
@@ -17,9 +17,77 @@ const i = {
     path(suffix) {
         if (suffix) return `/org/mpris/MediaPlayer2/${suffix}`;
         return '/org/mpris/MediaPlayer2';
+    },
+    /**
+     * object path of track, `-` is not allowed in object path
+     * so tracks in local library (with negative ids) are prefixed
+     * @param {number} id
+     */
+    track(id) {
+        return this.path(id < 0 ? `local_${-id}` : id);
+    },
+    /**
+     * reverse of `track`
+     * @param {string} path
+     * @returns {number | null} `null` if it's not a track path
+     */
+    trackId(path) {
+        const match = /^\/org\/mpris\/MediaPlayer2\/(local_)?(\d+)$/.exec(path);
+        if (!match) return null;
+        return match[1] ? -Number(match[2]) : Number(match[2]);
+    },
+    /**
+     * object path of playlist
+     * @param {number} id
+     */
+    playlist(id) {
+        return this.path(`Playlist/${id}`);
+    },
+    /**
+     * reverse of `playlist`
+     * @param {string} path
+     * @returns {number | null} `null` if it's not a playlist path
+     */
+    playlistId(path) {
+        const match = /^\/org\/mpris\/MediaPlayer2\/Playlist\/(\d+)$/.exec(path);
+        return match ? Number(match[1]) : null;
     }
 };
 
+/** special object path, means "no track" in `TrackList` interface */
+const NoTrack = '/org/mpris/MediaPlayer2/TrackList/NoTrack';
+
+/**
+ * @typedef {object} TrimmedTrack
+ * @property {number} id
+ * @property {string} name
+ * @property {number} duration
+ * @property {string} artistName
+ * @property {{ name: string, picUrl?: string }} album
+ * @property {string} cd
+ * @property {number} no
+ */
+
+/**
+ * @param {TrimmedTrack} value
+ * @returns {Record<string, Variant>}
+ */
+function trackMetadata(value) {
+    const metadata = {
+        'mpris:trackid': new Variant('o', i.track(value.id)),
+        'mpris:length': new Variant('x', value.duration * 1e3),
+        'xesam:album': new Variant('s', value.album.name || '未知专辑'),
+        'xesam:artist': new Variant('as', [value.artistName || '未知歌手']),
+        'xesam:discNumber': new Variant('n', Number.parseInt(value.cd, 10) || 0),
+        'xesam:title': new Variant('s', value.name || '未知歌曲'),
+        'xesam:trackNumber': new Variant('n', value.no || 0),
+    };
+    if (value.album.picUrl) {
+        metadata['mpris:artUrl'] = new Variant('s', value.album.picUrl);
+    }
+    return metadata;
+}
+
 let serviceName = 'ElectronNCM';
 if (process.env.NODE_ENV === 'development') {
     serviceName += '.dev';
@@ -42,7 +110,7 @@ class MediaPlayer2 extends Interface {
     CanRaise = true;
 
     @property({ signature: 'b', access: ACCESS_READ })
-    HasTrackList = false;
+    HasTrackList = true;
 
     @property({ signature: 's', access: ACCESS_READ })
     Identity = serviceName;
@@ -110,19 +178,13 @@ class MediaPlayer2Player extends Interface {
         if (!value) {
             this._Metadata = {};
         } else {
-            const trackid = i.path(value.id);
+            const trackid = i.track(value.id);
             /** @type {Variant} */
             const oldId = this._Metadata['mpris:trackid'];
             if (!oldId || oldId.value !== trackid) { this.timer.reset(); }
             this._Metadata = {
-                'mpris:trackid': new Variant('o', trackid),
-                'mpris:length': new Variant('x', value.duration * 1e3),
-                'mpris:artUrl': new Variant('s', value.album.picUrl || 'file:///dev/null'),
-                'xesam:album': new Variant('s', value.album.name || '未知专辑'),
-                'xesam:artist': new Variant('as', [value.artistName || '未知歌手']),
-                'xesam:discNumber': new Variant('n', Number.parseInt(value.cd, 10) || 0),
-                'xesam:title': new Variant('s', value.name || '未知歌曲'),
-                'xesam:trackNumber': new Variant('n', value.no || 0),
+                'mpris:artUrl': new Variant('s', 'file:///dev/null'),
+                ...trackMetadata(value)
             };
         }
         Interface.emitPropertiesChanged(this, {
@@ -227,18 +289,40 @@ class MediaPlayer2Player extends Interface {
         });
     }
 
-    // @property({ signature: 'd', access: ACCESS_READWRITE })
-    // Rate = 1.0;
+    _Rate = 1.0;
+
+    @property({ signature: 'd', access: ACCESS_READWRITE })
+    get Rate() { return this._Rate; }
+
+    set Rate(value) {
+        d('set property: Rate %o', value);
+        // clients should not set 0, which means `Pause` according to spec
+        if (value <= 0) {
+            this.Pause();
+            return;
+        }
+        const rate = Math.min(Math.max(value, this.MinimumRate), this.MaximumRate);
+        this.emitter.emit('dbus:rate', rate);
+    }
+
+    setRate(value) {
+        this._Rate = value;
+        this.timer.setRate(value);
+        d('setRate: %o', value);
+        Interface.emitPropertiesChanged(this, {
+            Rate: this._Rate
+        });
+    }
 
-    // @property({ signature: 'd', access: ACCESS_READ })
-    // MinimumRate = 1.0;
+    @property({ signature: 'd', access: ACCESS_READ })
+    MinimumRate = 0.5;
 
-    // @property({ signature: 'd', access: ACCESS_READ })
-    // MaximumRate = 1.0;
+    @property({ signature: 'd', access: ACCESS_READ })
+    MaximumRate = 2.0;
 
     @property({ signature: 'x', access: ACCESS_READ })
     get Position() {
-        return BigInt(this.timer.get() * 1e3);
+        return BigInt(Math.trunc(this.timer.get() * 1e3));
     }
 
     @method({})
@@ -318,6 +402,337 @@ class MediaPlayer2Player extends Interface {
     }
 }
 
+class MediaPlayer2TrackList extends Interface {
+    /**
+     * @param {string} name
+     * @param {EventEmitter} emitter
+     */
+    constructor(name, emitter) {
+        super(name);
+        this.emitter = emitter;
+        /** @type {TrimmedTrack[]} */
+        this.list = [];
+        /** object path of current track */
+        this.current = NoTrack;
+    }
+
+    @property({ signature: 'ao', access: ACCESS_READ })
+    get Tracks() {
+        return this.list.map(t => i.track(t.id));
+    }
+
+    _CanEditTracks = true;
+
+    @property({ signature: 'b', access: ACCESS_READ })
+    get CanEditTracks() {
+        return this._CanEditTracks;
+    }
+
+    /**
+     * @param {TrimmedTrack[]} list
+     * @param {boolean} canEdit
+     */
+    setTracks(list, canEdit) {
+        const oldIds = this.list.map(t => t.id);
+        const newIds = list.map(t => t.id);
+        this.list = list;
+        if (this._CanEditTracks !== canEdit) {
+            this._CanEditTracks = canEdit;
+            Interface.emitPropertiesChanged(this, { CanEditTracks: canEdit });
+        }
+        // find the only changed position, if there is one
+        let k = 0;
+        while (k < oldIds.length && k < newIds.length && oldIds[k] === newIds[k]) k++;
+        const sameAfter = (a, b) => a.length === b.length && a.every((id, n) => id === b[n]);
+        if (oldIds.length === newIds.length && k === oldIds.length) {
+            return;
+        } else if (newIds.length === oldIds.length + 1 && sameAfter(oldIds.slice(k), newIds.slice(k + 1))) {
+            d('signal: TrackAdded %d', newIds[k]);
+            this.TrackAdded(trackMetadata(list[k]), k > 0 ? i.track(newIds[k - 1]) : NoTrack);
+        } else if (newIds.length === oldIds.length - 1 && sameAfter(oldIds.slice(k + 1), newIds.slice(k))) {
+            d('signal: TrackRemoved %d', oldIds[k]);
+            this.TrackRemoved(i.track(oldIds[k]));
+        } else {
+            d('signal: TrackListReplaced, %d tracks', newIds.length);
+            this.TrackListReplaced(this.Tracks, this.current);
+        }
+        Interface.emitPropertiesChanged(this, {}, ['Tracks']);
+    }
+
+    /**
+     * @param {string} trackId object path of current track
+     */
+    setCurrent(trackId) {
+        this.current = trackId || NoTrack;
+    }
+
+    @method({ inSignature: 'ao', outSignature: 'aa{sv}' })
+    GetTracksMetadata(TrackIds) {
+        d('method: GetTracksMetadata %o', TrackIds);
+        const tracks = new Map(this.list.map(t => [i.track(t.id), t]));
+        return TrackIds.filter(id => tracks.has(id)).map(id => trackMetadata(tracks.get(id)));
+    }
+
+    @method({ inSignature: 'sob' })
+    AddTrack(Uri, AfterTrack, SetAsCurrent) {
+        d('method: AddTrack %s %s %o', Uri, AfterTrack, SetAsCurrent);
+        if (!this._CanEditTracks) return;
+        this.emitter.emit('dbus:addtrack', Uri, i.trackId(AfterTrack), SetAsCurrent);
+    }
+
+    @method({ inSignature: 'o' })
+    RemoveTrack(TrackId) {
+        d('method: RemoveTrack %s', TrackId);
+        const id = i.trackId(TrackId);
+        if (!this._CanEditTracks || id === null) return;
+        this.emitter.emit('dbus:removetrack', id);
+    }
+
+    @method({ inSignature: 'o' })
+    GoTo(TrackId) {
+        d('method: GoTo %s', TrackId);
+        const id = i.trackId(TrackId);
+        if (id === null) return;
+        this.emitter.emit('dbus:goto', id);
+    }
+
+    @signal({ signature: 'aoo' })
+    TrackListReplaced(Tracks, CurrentTrack) {
+        return [Tracks, CurrentTrack];
+    }
+
+    @signal({ signature: 'a{sv}o' })
+    TrackAdded(Metadata, AfterTrack) {
+        return [Metadata, AfterTrack];
+    }
+
+    @signal({ signature: 'o' })
+    TrackRemoved(TrackId) {
+        return TrackId;
+    }
+}
+
+/**
+ * @typedef {object} TrimmedPlaylist
+ * @property {number} id
+ * @property {string} name
+ * @property {string} icon cover image url
+ */
+
+/**
+ * @param {TrimmedPlaylist} value
+ * @returns {[string, string, string]} signature `(oss)`
+ */
+function playlistStruct(value) {
+    return [i.playlist(value.id), value.name, value.icon || ''];
+}
+
+class MediaPlayer2Playlists extends Interface {
+    /**
+     * @param {string} name
+     * @param {EventEmitter} emitter
+     */
+    constructor(name, emitter) {
+        super(name);
+        this.emitter = emitter;
+        /** @type {TrimmedPlaylist[]} */
+        this.list = [];
+        /** @type {number | null} */
+        this.active = null;
+    }
+
+    @property({ signature: 'u', access: ACCESS_READ })
+    get PlaylistCount() {
+        return this.list.length;
+    }
+
+    @property({ signature: 'as', access: ACCESS_READ })
+    Orderings = ['UserDefined', 'Alphabetical'];
+
+    @property({ signature: '(b(oss))', access: ACCESS_READ })
+    get ActivePlaylist() {
+        const playlist = this.list.find(p => p.id === this.active);
+        if (!playlist) return [false, ['/', '', '']];
+        return [true, playlistStruct(playlist)];
+    }
+
+    /**
+     * @param {TrimmedPlaylist[]} list
+     */
+    setPlaylists(list) {
+        const old = new Map(this.list.map(p => [p.id, p]));
+        this.list = list;
+        for (const p of list) {
+            const o = old.get(p.id);
+            if (o && (o.name !== p.name || o.icon !== p.icon)) {
+                this.PlaylistChanged(playlistStruct(p));
+            }
+        }
+        Interface.emitPropertiesChanged(this, {
+            PlaylistCount: this.PlaylistCount,
+            ActivePlaylist: this.ActivePlaylist
+        });
+    }
+
+    /**
+     * @param {number | null} id
+     */
+    setActive(id) {
+        if (this.active === id) return;
+        this.active = id;
+        Interface.emitPropertiesChanged(this, {
+            ActivePlaylist: this.ActivePlaylist
+        });
+    }
+
+    @method({ inSignature: 'o' })
+    ActivatePlaylist(PlaylistId) {
+        d('method: ActivatePlaylist %s', PlaylistId);
+        const id = i.playlistId(PlaylistId);
+        if (!this.list.some(p => p.id === id)) {
+            throw new DBusError('org.mpris.MediaPlayer2.Playlists.Error.NotFound', `No such playlist: ${PlaylistId}`);
+        }
+        this.emitter.emit('dbus:activateplaylist', id);
+    }
+
+    @method({ inSignature: 'uusb', outSignature: 'a(oss)' })
+    GetPlaylists(Index, MaxCount, Order, ReverseOrder) {
+        d('method: GetPlaylists %d %d %s %o', Index, MaxCount, Order, ReverseOrder);
+        const list = this.list.slice();
+        if (Order === 'Alphabetical') {
+            list.sort((a, b) => a.name.localeCompare(b.name));
+        }
+        if (ReverseOrder) {
+            list.reverse();
+        }
+        return list.slice(Index, Index + MaxCount).map(playlistStruct);
+    }
+
+    @signal({ signature: '(oss)' })
+    PlaylistChanged(Playlist) {
+        return Playlist;
+    }
+}
+
+/**
+ * not part of MPRIS, current lyric line for status bar integrations
+ */
+class Lyric extends Interface {
+    _Line = '';
+
+    @property({ signature: 's', access: ACCESS_READ })
+    get Line() {
+        return this._Line;
+    }
+
+    _Translation = '';
+
+    /** translation or romaji of current line, empty if there is none */
+    @property({ signature: 's', access: ACCESS_READ })
+    get Translation() {
+        return this._Translation;
+    }
+
+    /**
+     * @param {{ content: string, trans: string }} value
+     */
+    setLine({ content, trans }) {
+        if (this._Line === content && this._Translation === trans) return;
+        this._Line = content;
+        this._Translation = trans;
+        Interface.emitPropertiesChanged(this, {
+            Line: this._Line,
+            Translation: this._Translation
+        });
+        this.LineChanged(this._Line, this._Translation);
+    }
+
+    @signal({ signature: 'ss' })
+    LineChanged(Line, Translation) {
+        return [Line, Translation];
+    }
+}
+
+/**
+ * not part of MPRIS, pauses playback after a while
+ */
+class SleepTimer extends Interface {
+    /**
+     * @param {string} name
+     * @param {EventEmitter} emitter
+     */
+    constructor(name, emitter) {
+        super(name);
+        this.emitter = emitter;
+    }
+
+    _Mode = '';
+
+    /** `time`, `track` or `playlist`, empty if sleep timer is off */
+    @property({ signature: 's', access: ACCESS_READ })
+    get Mode() {
+        return this._Mode;
+    }
+
+    _Tracks = 0;
+
+    /** tracks to play before pause in `track` mode */
+    @property({ signature: 'u', access: ACCESS_READ })
+    get Tracks() {
+        return this._Tracks;
+    }
+
+    _Remaining = 0;
+
+    /** microseconds before pause, estimated by track duration unless `Mode` is `time` */
+    @property({ signature: 'x', access: ACCESS_READ })
+    get Remaining() {
+        return BigInt(this._Remaining * 1e6);
+    }
+
+    /**
+     * `Remaining` changes every second, only notify when mode changes or a minute passes
+     * @param {{ type: string, tracks?: number, remaining: number } | null} value
+     */
+    setTimer(value) {
+        const mode = value ? value.type : '';
+        const tracks = value && value.tracks || 0;
+        const remaining = value ? value.remaining : 0;
+        const changed = mode !== this._Mode || tracks !== this._Tracks
+            || Math.ceil(remaining / 60) !== Math.ceil(this._Remaining / 60);
+        this._Mode = mode;
+        this._Tracks = tracks;
+        this._Remaining = remaining;
+        if (!changed) return;
+        d('property: SleepTimer %s %d %d', mode, tracks, remaining);
+        Interface.emitPropertiesChanged(this, {
+            Mode: this._Mode,
+            Tracks: this._Tracks,
+            Remaining: this.Remaining
+        });
+    }
+
+    /**
+     * @param {string} Mode `time`, `track` or `playlist`
+     * @param {number} Value minutes for `time`, tracks for `track`, ignored for `playlist`
+     */
+    @method({ inSignature: 'su' })
+    Start(Mode, Value) {
+        d('method: SleepTimer.Start %s %d', Mode, Value);
+        const valid = Mode === 'playlist' || ((Mode === 'time' || Mode === 'track') && Value > 0);
+        if (!valid) {
+            throw new DBusError(`${this.$name}.Error.InvalidArgs`, `Invalid sleep timer: ${Mode} ${Value}`);
+        }
+        this.emitter.emit('dbus:sleep', { type: Mode, value: Value });
+    }
+
+    @method({})
+    Cancel() {
+        d('method: SleepTimer.Cancel');
+        this.emitter.emit('dbus:sleep', null);
+    }
+}
+
 class MPRISEmitter extends EventEmitter {
     constructor() {
         super();
@@ -325,6 +740,10 @@ class MPRISEmitter extends EventEmitter {
         this.objectPath = i.path();
         this.mp2 = new MediaPlayer2(i.name(), this);
         this.mp2Player = new MediaPlayer2Player(i.name('Player'), this);
+        this.mp2TrackList = new MediaPlayer2TrackList(i.name('TrackList'), this);
+        this.mp2Playlists = new MediaPlayer2Playlists(i.name('Playlists'), this);
+        this.lyric = new Lyric(`${this.interfaceName}.Lyric`);
+        this.sleepTimer = new SleepTimer(`${this.interfaceName}.SleepTimer`, this);
         if (process.env.NODE_ENV === 'development') {
             this.mp2.DesktopEntry = 'electron';
         }
@@ -338,14 +757,27 @@ class MPRISEmitter extends EventEmitter {
         this.on('stop', () => this.mp2Player.setPlaybackStatus(this.mp2Player._PlaybackStatus.types.Stopped));
         this.on('loop', loop => this.mp2Player.setLoopStatus(loop));
         this.on('shuffle', shuffle => this.mp2Player.setShuffle(shuffle));
-        this.on('metadata', meta => this.mp2Player.setMetadata(meta));
+        this.on('metadata', meta => {
+            this.mp2TrackList.setCurrent(meta && i.track(meta.id));
+            this.mp2Player.setMetadata(meta);
+        });
+        this.on('tracklist', (list, canEdit) => this.mp2TrackList.setTracks(list, canEdit));
+        this.on('playlists', list => this.mp2Playlists.setPlaylists(list));
+        this.on('activeplaylist', id => this.mp2Playlists.setActive(id));
+        this.on('lyric', line => this.lyric.setLine(line));
+        this.on('sleep', timer => this.sleepTimer.setTimer(timer));
         this.on('volume', vol => this.mp2Player.setVolume(vol));
+        this.on('rate', rate => this.mp2Player.setRate(rate));
         this.on('seeked', seconds => this.mp2Player.Seeked(seconds));
     }
 
     exportInterface() {
         bus.export(this.objectPath, this.mp2);
         bus.export(this.objectPath, this.mp2Player);
+        bus.export(this.objectPath, this.mp2TrackList);
+        bus.export(this.objectPath, this.mp2Playlists);
+        bus.export(this.objectPath, this.lyric);
+        bus.export(this.objectPath, this.sleepTimer);
         bus.requestName(this.interfaceName, NameFlag.DO_NOT_QUEUE).catch(e => {
             /* eslint-disable-next-line no-console */
             console.error('Failed to request interface name', this.interfaceName, e);
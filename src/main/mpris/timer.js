@@ -13,6 +13,8 @@ export class Timer {
         this.sum = 0;
         this.running = false;
         this.begin = new Date(0);
+        /** playback rate, time elapses faster if greater than 1 */
+        this.rate = 1;
     }
 
     set(millisecond) {
@@ -29,7 +31,7 @@ export class Timer {
 
     get() {
         if (!this.running) return this.sum;
-        return this.sum + Timer.diff(this.begin, new Date());
+        return this.sum + Timer.diff(this.begin, new Date()) * this.rate;
     }
 
     start() {
@@ -42,10 +44,22 @@ export class Timer {
     stop() {
         if (this.running) {
             this.running = false;
-            this.sum += Timer.diff(this.begin, new Date());
+            this.sum += Timer.diff(this.begin, new Date()) * this.rate;
         }
     }
 
+    /**
+     * @param {number} rate
+     */
+    setRate(rate) {
+        if (this.running) {
+            const now = new Date();
+            this.sum += Timer.diff(this.begin, now) * this.rate;
+            this.begin = now;
+        }
+        this.rate = rate;
+    }
+
     /** clear elapsed time, then start */
     clear() {
         this.sum = 0;
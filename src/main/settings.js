@@ -13,6 +13,19 @@ export const defaultSettings = {
     autoSign: false,
     bitRate: 'l',
     bitRateDownload: 'ex',
+    downloadConcurrency: 2,
+    downloadDir: '',
+    downloadFileName: '{artists} - {title}',
+    downloadCollision: 'rename',
+    downloadLyric: false,
+    lyricExportFormat: 'lrc',
+    lyricExportVariant: 'original',
+    localMusicDirs: [],
+    musicCacheLimit: 0,
+    offlineMode: false,
+    scrobbleEnabled: false,
+    scrobbleUrl: 'https://api.listenbrainz.org',
+    scrobbleToken: '',
     filterRcmd: false,
     startupPage: 'index',
     windowBorder: process.platform !== 'darwin',
@@ -26,6 +39,15 @@ export const defaultSettings = {
     themeVariety: 'auto',
     autoReplacePlaylist: false,
     lyricTranslation: 'translation',
+    desktopLyric: false,
+    equalizerEnabled: false,
+    equalizerPreset: 'flat',
+    equalizerGains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    volumeNormalization: false,
+    gaplessPlayback: false,
+    crossfadeDuration: 0,
+    sleepTimerFadeOut: true,
+    preservesPitch: true,
     titleBarShowsTrackName: true
 };
 
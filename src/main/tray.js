@@ -72,11 +72,11 @@ function doDesktopHacks() {
 
 export class AppTray {
     static get SendEvents() {
-        return ['prev', 'next', 'playpause', 'favorite', 'dislike', 'get', 'mute'];
+        return ['prev', 'next', 'playpause', 'favorite', 'dislike', 'get', 'mute', 'sleep'];
     }
 
     static get RecvEvents() {
-        return ['track', 'mute'];
+        return ['track', 'mute', 'sleep'];
     }
 
     constructor(color = 'light') {
@@ -109,6 +109,8 @@ export class AppTray {
         this.muted = false;
         /** @type {import('@/util/tray').TrayTrack} */
         this.track = null;
+        /** @type {import('@/util/tray').TraySleepTimer} */
+        this.sleep = null;
         this.updateMenu();
         /**
          * @param {import('electron').IpcMainEvent} _
@@ -124,6 +126,9 @@ export class AppTray {
                 case 'track':
                     this.track = args[0];
                     break;
+                case 'sleep':
+                    this.sleep = args[0];
+                    break;
             }
             this.updateMenu();
         };
@@ -139,6 +144,32 @@ export class AppTray {
         ];
     }
 
+    /**
+     * @type {import('electron').MenuItemConstructorOptions[]}
+     */
+    get sleepMenu() {
+        let label = '睡眠定时';
+        if (this.sleep) {
+            const { type, tracks, minutes } = this.sleep;
+            const left = type === 'track' ? `剩余 ${tracks} 首，` : '';
+            label += ` (${left}约 ${minutes} 分钟)`;
+        }
+        /** @param {{ type: string, value?: number }} timer */
+        const start = timer => () => this.send('sleep', timer);
+        return [
+            {
+                label,
+                submenu: [
+                    ...[15, 30, 60, 90].map(value => ({ label: `${value} 分钟后`, click: start({ type: 'time', value }) })),
+                    { label: '播放完当前歌曲后', click: start({ type: 'track', value: 1 }) },
+                    { label: '播放列表结束时', click: start({ type: 'playlist' }) },
+                    { type: 'separator' },
+                    { label: '取消定时', enabled: this.sleep !== null, click: () => this.send('sleep', null) }
+                ]
+            }
+        ];
+    }
+
     /**
      * @type {import('electron').MenuItemConstructorOptions[]}
      */
@@ -212,7 +243,7 @@ export class AppTray {
     }
 
     updateMenu() {
-        const tmpl = this.likeMenu.concat(this.controlMenu, this.muteMenu, this.trackMenu, this.exitMenu);
+        const tmpl = this.likeMenu.concat(this.controlMenu, this.muteMenu, this.sleepMenu, this.trackMenu, this.exitMenu);
         const menu = Menu.buildFromTemplate(tmpl);
         this.tray.setContextMenu(menu);
     }
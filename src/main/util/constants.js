@@ -6,3 +6,6 @@ export const IsDarwin = process.platform === 'darwin';
 export const MainURL = process.env.MAIN_URL;
 
 export const LoginURL = 'https://music.163.com';
+
+/** desktop lyric page, next to main page */
+export const LyricURL = new URL('lyric.html', MainURL).href;
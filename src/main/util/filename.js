@@ -0,0 +1,86 @@
+import path from 'path';
+
+/**
+ * max bytes of a single path segment, most file systems allow 255 bytes,
+ * leave some room for extension name and collision suffix
+ */
+const MaxSegmentBytes = 200;
+
+/** device names reserved by Windows, with or without extension */
+const ReservedNames = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * characters not allowed in file names on any of Windows, macOS or Linux
+ */
+// eslint-disable-next-line no-control-regex
+const IllegalChars = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+/**
+ * @param {string} text
+ * @param {number} maxBytes
+ */
+function truncateBytes(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) return text;
+    const chars = Array.from(text);
+    while (Buffer.byteLength(chars.join('')) > maxBytes) {
+        chars.pop();
+    }
+    return chars.join('');
+}
+
+/**
+ * Make a single file or directory name valid on all platforms.
+ * The same rule is applied everywhere, so the downloaded library can be
+ * moved between systems.
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeSegment(name) {
+    let res = String(name).replace(IllegalChars, ' ').replace(/\s+/g, ' ').trim();
+    res = truncateBytes(res, MaxSegmentBytes).trim();
+    // Windows does not allow trailing dots or spaces, this also eliminates `.` and `..`
+    res = res.replace(/[. ]+$/, '');
+    if (ReservedNames.test(res)) {
+        res = `_${res}`;
+    }
+    return res || '_';
+}
+
+/**
+ * @type {Record<string, (track: Models.Track & { albumArtist?: string }) => string | number>}
+ */
+export const TemplateVariables = {
+    title: t => t.name,
+    artists: t => t.artists.map(a => a.name).join(', '),
+    artist: t => (t.artists[0] ? t.artists[0].name : ''),
+    // album artist is not included in track detail, fallback to the first artist
+    albumArtist: t => t.albumArtist || (t.artists[0] ? t.artists[0].name : ''),
+    album: t => t.album.name,
+    no: t => t.no,
+    cd: t => Number.parseInt(t.cd, 10) || 1,
+    id: t => t.id
+};
+
+/**
+ * Render file path template like `{albumArtist}/{album}/{no:02} {title}`.
+ * `/` in template separates directories, while slashes in values don't.
+ * @param {string} template
+ * @param {Models.Track & { albumArtist?: string }} track
+ * @returns {string} relative path, without extension name
+ */
+export function renderPathTemplate(template, track) {
+    const rendered = template.replace(/\{(\w+)(?::0(\d+))?\}/g, (match, name, width) => {
+        if (!Object.prototype.hasOwnProperty.call(TemplateVariables, name)) {
+            return match;
+        }
+        let value = String(TemplateVariables[name](track) ?? '');
+        if (width) {
+            value = value.padStart(Number.parseInt(width, 10), '0');
+        }
+        return value.replace(/[/\\]/g, ' ');
+    });
+    const segments = rendered.split(/[/\\]/)
+        .filter(s => s.trim().length > 0)
+        .map(sanitizeSegment);
+    return path.join(...(segments.length > 0 ? segments : ['_']));
+}
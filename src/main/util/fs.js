@@ -60,3 +60,19 @@ export function clearDirectory(pathname) {
         });
     });
 }
+
+/**
+ * list all files in directory recursively, symbolic links are not followed
+ * @param {string} pathname
+ * @returns {Promise<string[]>}
+ */
+export async function listFiles(pathname) {
+    const entries = await fsPromises.readdir(pathname, { withFileTypes: true });
+    const lists = await Promise.all(entries.map(entry => {
+        const fullPath = path.join(pathname, entry.name);
+        if (entry.isDirectory()) return listFiles(fullPath);
+        if (entry.isFile()) return [fullPath];
+        return [];
+    }));
+    return lists.flat();
+}
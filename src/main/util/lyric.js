@@ -0,0 +1,87 @@
+import { timestampToString } from 'lrc-kit';
+
+/**
+ * @typedef {'original' | 'translation' | 'bilingual'} LyricVariant
+ * @typedef {'lrc' | 'srt'} LyricFormat
+ * @typedef {{ timestamp: number, content: string, trans?: string }} LyricLine
+ */
+
+/** how long the last line of srt lasts, in seconds */
+const LastLineDuration = 5;
+
+/**
+ * pick text lines of the variant, translation falls back to original text
+ * @param {LyricLine} line
+ * @param {LyricVariant} variant
+ * @returns {string[]}
+ */
+function lineTexts(line, variant) {
+    switch (variant) {
+        case 'translation':
+            return [line.trans || line.content];
+        case 'bilingual':
+            return line.trans ? [line.content, line.trans] : [line.content];
+        case 'original':
+        default:
+            return [line.content];
+    }
+}
+
+/**
+ * translation of bilingual lrc shares timestamp with original text,
+ * the same way NetEase and most players do
+ * @param {LyricLine[]} lines
+ * @param {LyricVariant} variant
+ */
+export function toLrc(lines, variant) {
+    const result = [];
+    for (const line of lines) {
+        const tag = `[${timestampToString(Math.max(line.timestamp, 0))}]`;
+        for (const text of lineTexts(line, variant)) {
+            result.push(tag + text);
+        }
+    }
+    return result.join('\n');
+}
+
+/**
+ * @param {number} timestamp in seconds
+ * @returns {string} like `00:01:23,450`
+ */
+function srtTime(timestamp) {
+    const ms = Math.max(Math.round(timestamp * 1000), 0);
+    const pad = (num, size = 2) => String(num).padStart(size, '0');
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * each line lasts until the next one starts, empty lines are only used as end time
+ * @param {LyricLine[]} lines
+ * @param {LyricVariant} variant
+ * @param {number} [duration] track duration in seconds, end time of the last line
+ */
+export function toSrt(lines, variant, duration) {
+    const blocks = [];
+    lines.forEach((line, i) => {
+        if (!line.content.trim()) return;
+        const next = lines[i + 1];
+        let end = next ? next.timestamp : line.timestamp + LastLineDuration;
+        if (!next && duration > line.timestamp) end = duration;
+        const texts = lineTexts(line, variant).join('\n');
+        blocks.push(`${blocks.length + 1}\n${srtTime(line.timestamp)} --> ${srtTime(end)}\n${texts}`);
+    });
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * @param {LyricLine[]} lines
+ * @param {LyricFormat} format
+ * @param {LyricVariant} variant
+ * @param {number} [duration] track duration in seconds
+ */
+export function formatLyric(lines, format, variant, duration) {
+    return format === 'srt' ? toSrt(lines, variant, duration) : toLrc(lines, variant);
+}
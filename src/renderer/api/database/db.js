@@ -2,6 +2,83 @@ import Dexie from 'dexie';
 
 export const db = new Dexie('electron-ncm');
 
+db.version(10).stores({
+    tracks: 'id',
+    lyric: 'id',
+    lyricOverride: 'id',
+    trackGain: 'id',
+    djRadioRate: 'id',
+    smartPlaylist: '++id',
+    history: '++id, start',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(9).stores({
+    tracks: 'id',
+    lyric: 'id',
+    lyricOverride: 'id',
+    trackGain: 'id',
+    djRadioRate: 'id',
+    smartPlaylist: '++id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(8).stores({
+    tracks: 'id',
+    lyric: 'id',
+    lyricOverride: 'id',
+    trackGain: 'id',
+    djRadioRate: 'id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(7).stores({
+    tracks: 'id',
+    lyric: 'id',
+    lyricOverride: 'id',
+    trackGain: 'id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(6).stores({
+    tracks: 'id',
+    lyric: 'id',
+    lyricOverride: 'id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(5).stores({
+    tracks: 'id',
+    lyric: 'id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath',
+    playlistDetail: 'id'
+});
+
+db.version(4).stores({
+    tracks: 'id',
+    lyric: 'id',
+    radio: 'track.id, index',
+    playlist: 'track.id, index',
+    local: 'id, localPath'
+});
+
 db.version(3).stores({
     tracks: 'id',
     lyric: 'id',
@@ -28,5 +105,12 @@ db.version(1).stores({ tracks: 'id' });
 
 export const trackTable = db.table('tracks');
 export const lyricTable = db.table('lyric');
+export const lyricOverrideTable = db.table('lyricOverride');
+export const trackGainTable = db.table('trackGain');
+export const djRadioRateTable = db.table('djRadioRate');
+export const smartPlaylistTable = db.table('smartPlaylist');
+export const historyTable = db.table('history');
 export const radioTable = db.table('radio');
 export const playlistTable = db.table('playlist');
+export const localTable = db.table('local');
+export const playlistDetailTable = db.table('playlistDetail');
@@ -0,0 +1,26 @@
+import { trackGainTable } from './db';
+
+/**
+ * @typedef {object} TrackGain
+ * @property {number} id track id
+ * @property {number} gain in dB
+ */
+
+/**
+ * @param {number} id
+ * @returns {Promise<TrackGain>}
+ */
+export function get(id) {
+    return trackGainTable
+        .where('id')
+        .equals(id)
+        .first();
+}
+
+/**
+ * @param {number} id
+ * @param {number} gain
+ */
+export function save(id, gain) {
+    return trackGainTable.put({ id, gain });
+}
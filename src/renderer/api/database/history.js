@@ -0,0 +1,31 @@
+import { historyTable } from './db';
+
+/**
+ * @typedef {object} HistoryRecord
+ * @property {number} [id]
+ * @property {{ id: number, name: string, artists: { id: number, name: string }[], album: { id: number, name: string } }} track
+ * @property {{ name: string, id?: any }} [source]
+ * @property {number} start timestamp when playback started
+ * @property {number} listened time actually listened, in milliseconds
+ * @property {number} duration duration of track, in milliseconds
+ * @property {boolean} finished played to the end, otherwise skipped
+ */
+
+/**
+ * @param {HistoryRecord} record
+ */
+export function add(record) {
+    return historyTable.add(record);
+}
+
+/**
+ * @param {number} [since=0] timestamp
+ * @returns {Promise<HistoryRecord[]>} records in the order of start time
+ */
+export function get(since = 0) {
+    return historyTable.where('start').aboveOrEqual(since).toArray();
+}
+
+export function clear() {
+    return historyTable.clear();
+}
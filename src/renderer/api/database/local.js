@@ -0,0 +1,22 @@
+import { db, localTable } from './db';
+
+/**
+ * @param {Models.Track[]} tracks
+ */
+export function replace(tracks) {
+    return db.transaction('rw', localTable, async () => {
+        await localTable.clear();
+        await localTable.bulkAdd(tracks);
+    });
+}
+
+export function clear() {
+    return localTable.clear();
+}
+
+/**
+ * @returns {Promise<Models.Track[]>}
+ */
+export function get() {
+    return localTable.toArray();
+}
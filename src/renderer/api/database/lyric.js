@@ -1,7 +1,15 @@
-import { lyricTable } from './db';
+import { lyricTable, lyricOverrideTable } from './db';
+
+/**
+ * user's own lyric and time offset of a track, kept apart from server cache
+ * @typedef {object} LyricOverride
+ * @property {number} id track id
+ * @property {Types.LyricObjectItem['lyrics']} lyrics `null` to use original lyric
+ * @property {number} offset in seconds, positive value makes lyric show up earlier
+ */
 
 export function save(id, lyric) {
-    if (lyric.lrc || lyric.mlrc || lyric.txtLyric) {
+    if (lyric.lrc || lyric.mlrc || lyric.txtLyric || lyric.yrc) {
         lyric.id = id;
         return lyricTable.put(lyric);
     }
@@ -13,3 +21,30 @@ export function get(id) {
         .equals(id)
         .first();
 }
+
+/**
+ * @param {number} id
+ * @returns {Promise<LyricOverride>}
+ */
+export function getOverride(id) {
+    return lyricOverrideTable
+        .where('id')
+        .equals(id)
+        .first();
+}
+
+/**
+ * @param {number} id
+ * @param {Partial<LyricOverride>} changes
+ * @returns {Promise<LyricOverride>} `null` if nothing is overridden any more
+ */
+export async function updateOverride(id, changes) {
+    /** @type {LyricOverride} */
+    const override = Object.assign({ id, lyrics: null, offset: 0 }, await getOverride(id), changes);
+    if (!override.lyrics && !override.offset) {
+        await lyricOverrideTable.delete(id);
+        return null;
+    }
+    await lyricOverrideTable.put(override);
+    return override;
+}
@@ -0,0 +1,16 @@
+import { playlistDetailTable } from './db';
+
+/**
+ * @param {any} playlist raw playlist detail in API response
+ */
+export function save(playlist) {
+    return playlistDetailTable.put(playlist);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<any>} raw playlist detail, `undefined` if missing
+ */
+export function get(id) {
+    return playlistDetailTable.get(id);
+}
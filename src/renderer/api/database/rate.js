@@ -0,0 +1,30 @@
+import { djRadioRateTable } from './db';
+
+/**
+ * @typedef {object} DjRadioRate
+ * @property {number} id dj radio id
+ * @property {number} rate playback rate of its programs
+ */
+
+/**
+ * @param {number} id
+ * @returns {Promise<DjRadioRate>}
+ */
+export function get(id) {
+    return djRadioRateTable
+        .where('id')
+        .equals(id)
+        .first();
+}
+
+/**
+ * normal rate is not saved
+ * @param {number} id
+ * @param {number} rate
+ */
+export function save(id, rate) {
+    if (rate === 1) {
+        return djRadioRateTable.delete(id);
+    }
+    return djRadioRateTable.put({ id, rate });
+}
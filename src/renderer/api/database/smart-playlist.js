@@ -0,0 +1,27 @@
+import { smartPlaylistTable } from './db';
+
+/**
+ * @typedef {import('@/util/smartPlaylist').SmartPlaylist} SmartPlaylist
+ */
+
+/**
+ * @returns {Promise<SmartPlaylist[]>}
+ */
+export function getAll() {
+    return smartPlaylistTable.toArray();
+}
+
+/**
+ * @param {SmartPlaylist} list `id` is generated when absent
+ * @returns {Promise<number>} id
+ */
+export function save(list) {
+    return smartPlaylistTable.put(list);
+}
+
+/**
+ * @param {number} id
+ */
+export function remove(id) {
+    return smartPlaylistTable.delete(id);
+}
@@ -16,6 +16,13 @@ export function upsert(tracks) {
     return trackTable.bulkPut(tracks);
 }
 
+/**
+ * @returns {Promise<Types.TrackDetail[]>} all raw track detail ever seen
+ */
+export function getAll() {
+    return trackTable.toArray();
+}
+
 /**
  * @param {number[]} ids
  * @param {boolean} [ignoreMissing=false] should throw error when database miss
@@ -14,3 +14,5 @@ declare const Api: AllPromisfy<typeof ApiFunc>;
 export default Api;
 
 export declare function send(methodName: string, ...args: any[]): Promise<any>
+
+export declare function listen(type: string, callback: (...args: any[]) => void): () => void
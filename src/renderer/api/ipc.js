@@ -29,6 +29,32 @@ export function send(methodName, ...args) {
     });
 }
 
+const EventTag = 'API:Event';
+/** @type {Map<string, Set<(...args: any[]) => void>>} */
+const listeners = new Map();
+
+encm.on(EventTag, (event, /** @type {string} */ type, ...args) => {
+    d('🔔 %s %o', type, args);
+    const set = listeners.get(type);
+    if (set) {
+        set.forEach(cb => cb(...args));
+    }
+});
+
+/**
+ * listen to events pushed from main process
+ * @param {string} type
+ * @param {(...args: any[]) => void} callback
+ * @returns {() => void} function to remove the listener
+ */
+export function listen(type, callback) {
+    if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+    }
+    listeners.get(type).add(callback);
+    return () => listeners.get(type).delete(callback);
+}
+
 const fns = {};
 
 const Api = new Proxy(fns, {
@@ -1,6 +1,7 @@
 import { send } from './ipc';
 import * as tracks from './database/track';
 import * as lyric from './database/lyric';
+import * as playlistDetail from './database/playlist-detail';
 import { Album, Artist, Track, Video, PlayList, DjRadio, DjRadioProgram } from '@/util/models';
 
 /**
@@ -32,8 +33,14 @@ export async function getPlaylistDetail(id, limit = 0) {
     /** @type {Types.ListDetailRes} */
     const resp = await send('getListDetailE', id, limit);
     if (resp.code === 200) {
+        playlistDetail.save(resp.playlist);
         return new PlayList(resp.playlist);
     }
+    // network may be unavailable, use the copy from last time
+    const saved = await playlistDetail.get(id);
+    if (saved) {
+        return new PlayList(saved);
+    }
 }
 
 export async function getAlbumDetail(id) {
@@ -89,9 +96,18 @@ export async function getDjRadioProgram(radioId, limit = 100, offset = 0, asc =
     return [];
 }
 
-export async function getMusicLyric(id, ignoreCache = false) {
+/**
+ * @param {number} id
+ * @param {boolean} [ignoreCache=false]
+ * @param {boolean} [offline=false] only read from local database
+ */
+export async function getMusicLyric(id, ignoreCache = false, offline = false) {
     const cached = await lyric.get(id);
-    if (ignoreCache || !cached) {
+    if (offline) {
+        return cached || {};
+    }
+    // lyrics cached before word timing was supported lack the `yrc` key
+    if (ignoreCache || !cached || cached.yrc === undefined) {
         /** @type {Types.MusicLyricRes} */
         const resp = await send('getMusicLyric', id);
         lyric.save(id, resp);
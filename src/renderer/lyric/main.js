@@ -0,0 +1,7 @@
+import Vue from 'vue';
+
+import DesktopLyric from './DesktopLyric.vue';
+
+const el = document.createElement('div');
+document.body.appendChild(el);
+new Vue({ render: h => h(DesktopLyric) }).$mount(el);
@@ -53,14 +53,36 @@ try {
 } catch (e) { sessionStorage.removeItem('settings'); }
 
 require('@/util/tray').injectStore(store);
+require('@/util/download').injectStore(store);
+require('@/util/local').injectStore(store);
+require('@/util/smartPlaylist').injectStore(store);
 
 function restoreUserInfoOnline() {
-    store.dispatch('restoreUserInfo').catch(e => {
+    store.dispatch('restoreUserInfo').then(() => {
+        // submit play records queued while offline or before last exit
+        store.dispatch('flushPlayRecords');
+    }, e => {
+        store.dispatch('setLoginValid', false);
         Message.alert(e.msg, '登录失败');
+    }).then(() => {
+        // downloads wait until login state is known, valid or not
+        store.dispatch('startDownloadQueue');
     });
 }
 
-if (navigator.onLine) {
+let offline = store.state.settings.offlineMode;
+store.subscribe(({ type }, state) => {
+    if (type !== UPDATE_SETTINGS || state.settings.offlineMode === offline) return;
+    offline = state.settings.offlineMode;
+    if (!offline) {
+        // back online, verify login state and submit queued play records
+        restoreUserInfoOnline();
+    }
+});
+
+if (store.state.settings.offlineMode) {
+    store.dispatch('restoreUserInfoOffline');
+} else if (navigator.onLine) {
     restoreUserInfoOnline();
 } else {
     window.addEventListener('online', () => {
@@ -114,6 +136,30 @@ darkMediaQuery.addEventListener('change', e => {
     }, variety);
 });
 
+app.$once('audio-ready', audio => {
+    const l = require('@/util/lyric');
+    l.injectStore(store);
+    l.bindAudioElement(audio);
+});
+
+app.$once('audio-ready', audio => {
+    const a = require('@/util/audio');
+    a.injectStore(store);
+    a.bindAudioElement(audio);
+});
+
+app.$once('audio-ready', audio => {
+    const s = require('@/util/sleep');
+    s.injectStore(store);
+    s.bindAudioElement(audio);
+});
+
+app.$once('audio-ready', audio => {
+    const h = require('@/util/history');
+    h.injectStore(store);
+    h.bindAudioElement(audio);
+});
+
 if (isLinux) {
     app.$once('audio-ready', audio => {
         const m = require('@/util/mpris');
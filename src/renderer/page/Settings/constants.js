@@ -10,3 +10,27 @@ V8: ${versions.v8}`;
 export const RepoURL = 'https://github.com/Rocket1184/electron-netease-cloud-music';
 
 export const IpcTag = 'Settings';
+
+/**
+ * variables available in download file name template,
+ * keep in sync with `TemplateVariables` in `src/main/util/filename.js`
+ */
+export const DownloadFileNameVariables = {
+    title: '歌曲名',
+    artists: '所有歌手',
+    artist: '第一位歌手',
+    albumArtist: '专辑歌手',
+    album: '专辑名',
+    no: '曲目序号',
+    cd: '碟片序号',
+    id: '歌曲 ID'
+};
+
+/** short names of qualities in music cache usage */
+export const CacheQualityName = {
+    ex: '无损',
+    h: '极高',
+    m: '较高',
+    l: '标准',
+    other: '其他'
+};
@@ -1,6 +1,6 @@
 /** 
  * @typedef SettingItem
- * @property {'plain'|'toggle'|'select'|'color'} type
+ * @property {'plain'|'toggle'|'select'|'color'|'equalizer'} type
  * @property {string} title
  * @property {string} prop property name of settings value
  * @property {string[]} depends show this options when **ALL** depended properties are true
@@ -16,6 +16,8 @@
  * @property {SettingItem[]} items
  */
 
+import { EqualizerPresets } from '@/util/audio';
+
 /** @type {SettingsCategory[]} */
 export const Entries = [
     {
@@ -120,6 +122,131 @@ export const Entries = [
                     { label: '标准 (128 kbit/s)', value: 'l' },
                 ]
             },
+            {
+                type: 'toggle',
+                title: '启动时自动开始播放',
+                prop: 'autoPlay'
+            },
+            {
+                type: 'toggle',
+                title: '自动替换播放列表为当前歌单',
+                prop: 'autoReplacePlaylist'
+            },
+            {
+                type: 'toggle',
+                title: '离线模式，只播放已缓存或已下载的歌曲',
+                prop: 'offlineMode'
+            },
+            {
+                type: 'select',
+                title: '外文歌词翻译',
+                prop: 'lyricTranslation',
+                options: [
+                    { label: '关闭', value: 'no' },
+                    { label: '翻译', value: 'translation' },
+                    { label: '罗马音', value: 'romaji' }
+                ]
+            },
+            {
+                type: 'toggle',
+                title: '显示桌面歌词',
+                prop: 'desktopLyric'
+            }
+        ]
+    },
+    {
+        name: '音效',
+        items: [
+            {
+                type: 'toggle',
+                title: '均衡器',
+                prop: 'equalizerEnabled'
+            },
+            {
+                type: 'select',
+                title: '均衡器预设',
+                prop: 'equalizerPreset',
+                depends: ['equalizerEnabled'],
+                options: [
+                    ...Object.entries(EqualizerPresets).map(([value, { name }]) => ({ label: name, value })),
+                    { label: '自定义', value: 'custom' }
+                ]
+            },
+            {
+                type: 'equalizer',
+                title: '均衡器频段',
+                depends: ['equalizerEnabled']
+            },
+            {
+                type: 'toggle',
+                title: '音量均衡，按分析出的响度调整每首歌曲的音量',
+                prop: 'volumeNormalization'
+            },
+            {
+                type: 'toggle',
+                title: '无缝播放，提前缓存下一首歌曲',
+                prop: 'gaplessPlayback'
+            },
+            {
+                type: 'select',
+                title: '淡入淡出，同一专辑的歌曲之间不生效',
+                prop: 'crossfadeDuration',
+                depends: ['gaplessPlayback'],
+                options: [
+                    { label: '关闭', value: 0 },
+                    { label: '1 秒', value: 1 },
+                    { label: '2 秒', value: 2 },
+                    { label: '3 秒', value: 3 },
+                    { label: '5 秒', value: 5 },
+                    { label: '8 秒', value: 8 }
+                ]
+            },
+            {
+                type: 'toggle',
+                title: '睡眠定时结束前逐渐降低音量',
+                prop: 'sleepTimerFadeOut'
+            },
+            {
+                type: 'toggle',
+                title: '调整播放速度时保持音调',
+                prop: 'preservesPitch'
+            }
+        ]
+    },
+    {
+        name: '听歌记录同步',
+        items: [
+            {
+                type: 'toggle',
+                title: '同步到 ListenBrainz 兼容服务',
+                prop: 'scrobbleEnabled'
+            },
+            {
+                type: 'plain',
+                title: '服务地址',
+                data: 'scrobbleUrlText',
+                handler: 'editScrobbleUrl',
+                depends: ['scrobbleEnabled']
+            },
+            {
+                type: 'plain',
+                title: '用户令牌',
+                data: 'scrobbleTokenText',
+                handler: 'editScrobbleToken',
+                depends: ['scrobbleEnabled']
+            },
+            {
+                type: 'plain',
+                title: '待同步记录',
+                data: 'scrobbleQueue',
+                handler: 'promptRetryScrobble',
+                depends: ['scrobbleEnabled']
+            }
+        ]
+    },
+    {
+        name: '下载',
+        items: [
             {
                 type: 'select',
                 title: '下载码率',
@@ -132,24 +259,67 @@ export const Entries = [
                 ]
             },
             {
-                type: 'toggle',
-                title: '启动时自动开始播放',
-                prop: 'autoPlay'
+                type: 'select',
+                title: '同时下载数量',
+                prop: 'downloadConcurrency',
+                options: [
+                    { label: '1', value: 1 },
+                    { label: '2', value: 2 },
+                    { label: '3', value: 3 },
+                    { label: '5', value: 5 },
+                ]
+            },
+            {
+                type: 'plain',
+                title: '下载目录',
+                data: 'downloadDir',
+                handler: 'chooseDownloadDir'
+            },
+            {
+                type: 'plain',
+                title: '文件名模板',
+                data: 'downloadFileNameText',
+                handler: 'editDownloadFileName'
+            },
+            {
+                type: 'select',
+                title: '文件已存在时',
+                prop: 'downloadCollision',
+                options: [
+                    { label: '自动重命名', value: 'rename' },
+                    { label: '覆盖', value: 'overwrite' },
+                    { label: '保留已有文件', value: 'skip' }
+                ]
             },
             {
                 type: 'toggle',
-                title: '自动替换播放列表为当前歌单',
-                prop: 'autoReplacePlaylist'
+                title: '下载时导出歌词文件',
+                prop: 'downloadLyric'
             },
             {
                 type: 'select',
-                title: '外文歌词翻译',
-                prop: 'lyricTranslation',
+                title: '歌词文件格式',
+                prop: 'lyricExportFormat',
                 options: [
-                    { label: '关闭', value: 'no' },
+                    { label: 'LRC', value: 'lrc' },
+                    { label: 'SRT 字幕', value: 'srt' }
+                ]
+            },
+            {
+                type: 'select',
+                title: '导出歌词内容',
+                prop: 'lyricExportVariant',
+                options: [
+                    { label: '原文', value: 'original' },
                     { label: '翻译', value: 'translation' },
-                    { label: '罗马音', value: 'romaji' }
+                    { label: '原文和翻译', value: 'bilingual' }
                 ]
+            },
+            {
+                type: 'plain',
+                title: '重新写入已下载歌曲的标签',
+                data: 'retagProgress',
+                handler: 'promptRetagLibrary'
             }
         ]
     },
@@ -197,6 +367,24 @@ export const Entries = [
                 data: 'musicSize',
                 handler: 'promptClearMusicCache'
             },
+            {
+                type: 'plain',
+                title: '各音质缓存占用',
+                data: 'musicCacheUsage'
+            },
+            {
+                type: 'select',
+                title: '歌曲缓存上限',
+                prop: 'musicCacheLimit',
+                options: [
+                    { label: '不限制', value: 0 },
+                    { label: '1 GB', value: 1024 },
+                    { label: '2 GB', value: 2048 },
+                    { label: '5 GB', value: 5120 },
+                    { label: '10 GB', value: 10240 },
+                    { label: '20 GB', value: 20480 },
+                ]
+            },
             {
                 type: 'plain',
                 title: '所有应用数据',
@@ -0,0 +1,164 @@
+/**
+ * @typedef {import('@/api/database/history').HistoryRecord} HistoryRecord
+ *
+ * @typedef {object} RankItem
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [desc]
+ * @property {number} plays
+ * @property {number} listened milliseconds
+ */
+
+const DayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {HistoryRecord[]} records
+ */
+export function summarize(records) {
+    let listened = 0;
+    let skipped = 0;
+    const tracks = new Set();
+    for (const r of records) {
+        listened += r.listened;
+        if (!r.finished) skipped++;
+        tracks.add(r.track.id);
+    }
+    return {
+        plays: records.length,
+        listened,
+        skipRate: records.length ? skipped / records.length : 0,
+        tracks: tracks.size
+    };
+}
+
+/**
+ * count plays and listened time grouped by key, most played first
+ * @param {HistoryRecord[]} records
+ * @param {(r: HistoryRecord) => { id: number, name: string, desc?: string }[]} keysOf
+ * @param {number} limit
+ * @returns {RankItem[]}
+ */
+function rank(records, keysOf, limit) {
+    /** @type {Map<string, RankItem>} */
+    const map = new Map();
+    for (const r of records) {
+        for (const key of keysOf(r)) {
+            // tracks from local files may have no id, tell them apart by name
+            const k = key.id ? `${key.id}` : `_${key.name}`;
+            let item = map.get(k);
+            if (!item) {
+                item = { ...key, plays: 0, listened: 0 };
+                map.set(k, item);
+            }
+            item.plays++;
+            item.listened += r.listened;
+        }
+    }
+    return Array.from(map.values())
+        .sort((a, b) => b.plays - a.plays || b.listened - a.listened)
+        .slice(0, limit);
+}
+
+/**
+ * @param {HistoryRecord[]} records
+ * @param {number} [limit=10]
+ */
+export function topTracks(records, limit = 10) {
+    return rank(records, r => [{
+        id: r.track.id,
+        name: r.track.name,
+        desc: r.track.artists.map(ar => ar.name).join(' / ')
+    }], limit);
+}
+
+/**
+ * @param {HistoryRecord[]} records
+ * @param {number} [limit=10]
+ */
+export function topArtists(records, limit = 10) {
+    return rank(records, r => r.track.artists.filter(ar => ar.name), limit);
+}
+
+/**
+ * @param {HistoryRecord[]} records
+ * @param {number} [limit=10]
+ */
+export function topAlbums(records, limit = 10) {
+    return rank(records, r => r.track.album.name ? [r.track.album] : [], limit);
+}
+
+/**
+ * @param {number} timeStamp
+ * @returns {number} timestamp of local midnight of that day
+ */
+export function startOfDay(timeStamp) {
+    const dt = new Date(timeStamp);
+    dt.setHours(0, 0, 0, 0);
+    return dt.getTime();
+}
+
+/**
+ * listened time of each day in `[from, to]`, days without record included
+ * @param {HistoryRecord[]} records
+ * @param {number} from timestamp
+ * @param {number} to timestamp
+ * @returns {{ day: number, listened: number }[]}
+ */
+export function dailyListening(records, from, to) {
+    /** @type {Map<number, number>} */
+    const map = new Map();
+    for (const r of records) {
+        const day = startOfDay(r.start);
+        map.set(day, (map.get(day) || 0) + r.listened);
+    }
+    const result = [];
+    // step by date instead of adding `DayMs`, which breaks on DST changes
+    const dt = new Date(startOfDay(from));
+    while (dt.getTime() <= to) {
+        const day = dt.getTime();
+        result.push({ day, listened: map.get(day) || 0 });
+        dt.setDate(dt.getDate() + 1);
+    }
+    return result;
+}
+
+/**
+ * listened time by weekday and hour of start time
+ * @param {HistoryRecord[]} records
+ * @returns {number[][]} `7 x 24` matrix, indexed by `Date#getDay` then `Date#getHours`
+ */
+export function hourlyHeatmap(records) {
+    const result = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    for (const r of records) {
+        const dt = new Date(r.start);
+        result[dt.getDay()][dt.getHours()] += r.listened;
+    }
+    return result;
+}
+
+/** @type {{ label: string, days: number }[]} `0` for all time */
+export const StatsPeriods = [
+    { label: '7 天', days: 7 },
+    { label: '30 天', days: 30 },
+    { label: '一年', days: 365 },
+    { label: '全部', days: 0 }
+];
+
+/**
+ * @param {number} days
+ * @returns {number} timestamp when the period starts
+ */
+export function periodStart(days) {
+    if (days === 0) return 0;
+    return startOfDay(Date.now() - (days - 1) * DayMs);
+}
+
+/**
+ * format milliseconds to `x 小时 y 分钟`
+ * @param {number} ms
+ */
+export function humanDuration(ms) {
+    const m = Math.round(ms / 60000);
+    if (m < 60) return `${m} 分钟`;
+    return `${Math.floor(m / 60)} 小时 ${m % 60} 分钟`;
+}
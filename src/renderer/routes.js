@@ -14,6 +14,9 @@ import RecommendSongs from '@/page/RecommendSongs/RecommendSongs.vue';
 import Comment from '@/page/Comment/Comment.vue';
 import Radio from '@/page/Radio/Radio.vue';
 import Disk from '@/page/Disk.vue';
+import Download from '@/page/Download.vue';
+import Local from '@/page/Local.vue';
+import Stats from '@/page/Stats/Stats.vue';
 import UnderConstruction from '@/page/UnderConstruction.vue';
 
 /**
@@ -113,6 +116,27 @@ const routes = [
         component: Disk,
         icon: 'cloud'
     },
+    {
+        name: 'local',
+        path: '/local',
+        title: '本地音乐',
+        component: Local,
+        icon: 'library_music'
+    },
+    {
+        name: 'download',
+        path: '/download',
+        title: '下载管理',
+        component: Download,
+        icon: 'file_download'
+    },
+    {
+        name: 'stats',
+        path: '/stats',
+        title: '听歌统计',
+        component: Stats,
+        icon: 'insights'
+    },
     {
         name: 'settings',
         path: '/settings',
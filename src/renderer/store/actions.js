@@ -1,13 +1,22 @@
-import Api from '@/api/ipc';
+import Toast from 'muse-ui-toast';
+
+import Api, { listen } from '@/api/ipc';
 import * as ApiTyped from '@/api/typed';
 import * as DbPlaylist from '@/api/database/playlist';
 import * as DbRadio from '@/api/database/radio';
+import * as DbLocal from '@/api/database/local';
+import * as DbLyric from '@/api/database/lyric';
+import * as DbRate from '@/api/database/rate';
+import * as DbSmartPlaylist from '@/api/database/smart-playlist';
 
 import { Track, Video } from '@/util/models';
 import { browserWindow } from '@/util/globals';
+import { getOfflinePlayableIds } from '@/util/offline';
+import { applyLyricOverride, shiftLyric } from '@/util/lrc';
 
 import * as types from './mutation-types';
 import { LOOP_MODE } from './modules/playlist';
+import { DOWNLOAD_STATE } from './modules/download';
 
 /**
  * @typedef {object} ActionContext
@@ -78,6 +87,10 @@ export async function storeCredential({ state }) {
     if (!state.user.loginValid) return;
     const user = state.user.info;
     localStorage.setItem('user', JSON.stringify(user));
+    // keep a copy for offline mode, `PlayList` constructor would add cloud track count again
+    const playlists = state.user.playlist.map(p => ({ ...p, trackCount: p.trackCount - p.cloudTrackCount }));
+    localStorage.setItem('userPlaylists', JSON.stringify({ playlists, favTrackIds: state.user.favTrackIds }));
+    if (state.settings.offlineMode) return;
     const cookie = await Api.getCookie();
     localStorage.setItem('cookie', JSON.stringify(cookie));
 }
@@ -110,6 +123,20 @@ export async function restoreUserInfo({ commit, dispatch }, payload) {
     }
 }
 
+/**
+ * restore user info and playlists saved last time without network
+ * @param {ActionContext} param0
+ */
+export function restoreUserInfoOffline({ commit }) {
+    try {
+        commit(types.SET_USER_INFO, JSON.parse(localStorage.getItem('user')));
+        const { playlists, favTrackIds } = JSON.parse(localStorage.getItem('userPlaylists'));
+        commit(types.SET_USER_PLAYLISTS, playlists);
+        commit(types.SET_USER_FAVOR_TRACKS, favTrackIds);
+        commit(types.SET_LOGIN_VALID, true);
+    } catch (e) { /* noop */ }
+}
+
 /**
  * @param {ActionContext} param0
  */
@@ -250,7 +277,7 @@ export async function logout({ commit }) {
         commit(types.SET_USER_PLAYLISTS, []);
         commit(types.SET_LOGIN_VALID, false);
         commit(types.SET_USER_SIGN_STATUS, null);
-        ['user', 'cookie'].forEach(k => localStorage.removeItem(k));
+        ['user', 'cookie', 'userPlaylists'].forEach(k => localStorage.removeItem(k));
     }
 }
 
@@ -329,7 +356,10 @@ export async function search({ state, commit }, { keyword, type, limit = 20, off
 export async function updateUiAudioSrc({ commit, state, getters }, { ignoreCache = false } = {}) {
     const quality = state.settings.bitRate;
     const track = getters.playing;
-    if (track && track.id) {
+    if (track && track.localPath) {
+        const resp = await Api.getLocalMusicUrl(track.localPath);
+        commit(types.UPDATE_PLAYING_URL, resp.url);
+    } else if (track && track.id) {
         const resp = await Api.getMusicUrlLocal(track.id, quality, ignoreCache);
         commit(types.UPDATE_PLAYING_URL, resp.url);
     } else {
@@ -345,14 +375,50 @@ export function setAudioVolume({ commit }, payload) {
 }
 
 /**
+ * programs of the same dj radio share playback rate, music tracks always start at 1x
  * @param {ActionContext} param0
  */
-export async function updateUiCoverImgSrc({ commit, getters }) {
+export async function updateUiPlaybackRate({ commit, getters }) {
+    const track = getters.playing;
+    const source = track && track.source;
+    let rate = 1;
+    if (source && source.djradio) {
+        const saved = await DbRate.get(source.id);
+        if (saved) rate = saved.rate;
+        // track may have changed while reading
+        if (getters.playing !== track) return;
+    }
+    commit(types.SET_PLAYBACK_RATE, rate);
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {number} payload
+ */
+export async function setPlaybackRate({ commit, getters }, payload) {
+    commit(types.SET_PLAYBACK_RATE, payload);
+    const source = getters.playing.source;
+    if (source && source.djradio) {
+        await DbRate.save(source.id, payload);
+    }
+}
+
+/**
+ * @param {ActionContext} param0
+ */
+export async function updateUiCoverImgSrc({ commit, state, getters }) {
     let img = '';
     if (getters.queue.list.length !== 0) {
         const id = getters.playing.album.pic;
-        if (id === -1) {
+        if (getters.playing.localPath) {
+            const resp = await Api.getLocalCoverUrl(getters.playing.localPath);
+            img = resp.code === 200 ? resp.url : require('assets/img/cloud_default.webp');
+        } else if (id === -1) {
             img = require('assets/img/cloud_default.webp');
+        } else if (state.settings.offlineMode) {
+            // remote pictures are unavailable, try the one embedded in downloaded file
+            const resp = await Api.getDownloadedCoverUrl(getters.playing.id);
+            img = resp.code === 200 ? resp.url : require('assets/img/cloud_default.webp');
         } else {
             const resp = await Api.getPicUrl(id);
             img = resp.code === 200 ? resp.url : '';
@@ -364,18 +430,38 @@ export async function updateUiCoverImgSrc({ commit, getters }) {
 /**
  * @param {ActionContext} param0
  */
-export async function updateUiLyric({ commit, getters }, { ignoreCache = false } = {}) {
+export async function updateUiLyric({ commit, state, getters }, { ignoreCache = false } = {}) {
     const track = getters.playing;
     if (track && track.id) {
         commit(types.SET_LYRIC_LOADING, true);
-        const lyric = await ApiTyped.getMusicLyric(track.id, ignoreCache);
-        commit(types.SET_ACTIVE_LYRIC, lyric);
+        const lyric = track.localPath
+            ? await Api.getLocalMusicLyric(track.localPath)
+            : await ApiTyped.getMusicLyric(track.id, ignoreCache, state.settings.offlineMode);
+        const override = await DbLyric.getOverride(track.id);
+        commit(types.SET_ACTIVE_LYRIC, applyLyricOverride(lyric, override));
         commit(types.SET_LYRIC_LOADING, false);
     } else {
         commit(types.SET_ACTIVE_LYRIC, {});
     }
 }
 
+/**
+ * save user's own lyric or time offset of playing track
+ * @param {ActionContext} param0
+ * @param {Partial<import('@/api/database/lyric').LyricOverride>} payload
+ */
+export async function updateLyricOverride({ commit, dispatch, state, getters }, payload) {
+    const track = getters.playing;
+    if (!track || !track.id) return;
+    await DbLyric.updateOverride(track.id, payload);
+    if (Object.keys(payload).length === 1 && 'offset' in payload) {
+        // no need to load lyric again
+        commit(types.SET_ACTIVE_LYRIC, { ...state.ui.lyric, offset: payload.offset });
+        return;
+    }
+    await dispatch('updateUiLyric');
+}
+
 /**
  * @param {ActionContext} param0
  * @param {boolean} payload show track name in window title
@@ -400,6 +486,7 @@ export function updateUiTrack({ state, dispatch }) {
     }
     dispatch('updateUiLyric');
     dispatch('updateUiCoverImgSrc');
+    dispatch('updateUiPlaybackRate');
     return dispatch('updateUiAudioSrc');
 }
 
@@ -439,14 +526,38 @@ export async function playTrackIndex({ state, commit, dispatch }, index) {
  */
 export async function playTrackOffset({ commit, dispatch, state, getters }, payload) {
     const { index, list, loopMode } = getters.queue;
+    /** @type {(i: number) => boolean} */
+    let playable = () => true;
+    if (state.settings.offlineMode) {
+        // skip tracks neither cached nor downloaded
+        const available = await getOfflinePlayableIds(list);
+        playable = i => available.has(list[i].id);
+    }
+    const mod = (n, m) => ((n % m) + m) % m;
+    const { randomIndex, randomList } = state.playlist;
     let nextIndex;
+    let nextRandomIndex;
+    let found = false;
+    for (let tries = 0, offset = payload; tries < list.length; tries++, offset += Math.sign(payload)) {
+        if (loopMode === LOOP_MODE.RANDOM) {
+            nextRandomIndex = mod(randomIndex + offset, randomList.length);
+            nextIndex = randomList[nextRandomIndex];
+        } else {
+            nextIndex = mod(index + offset, list.length);
+        }
+        if (playable(nextIndex)) {
+            found = true;
+            break;
+        }
+    }
+    if (!found && state.settings.offlineMode) {
+        // otherwise player would fail and skip to next track again and again
+        commit(types.SET_AUDIO_PAUSED, true);
+        Toast.message('离线模式下播放列表中没有可以播放的歌曲');
+        return;
+    }
     if (loopMode === LOOP_MODE.RANDOM) {
-        const { randomIndex, randomList } = state.playlist;
-        const nextRandomIndex = (randomIndex + randomList.length + payload) % randomList.length;
         commit(types.SET_RANDOM_PLAYLIST_INDEX, nextRandomIndex);
-        nextIndex = randomList[nextRandomIndex];
-    } else {
-        nextIndex = (index + list.length + payload) % list.length;
     }
     if (state.ui.radioMode === true) {
         commit(types.SET_RADIO_INDEX, nextIndex);
@@ -471,6 +582,51 @@ export function playPreviousTrack({ dispatch }) {
     dispatch('playTrackOffset', -1);
 }
 
+/**
+ * @param {ActionContext} param0
+ * @param {{ type: 'time' | 'track' | 'playlist', value?: number }} payload
+ * `value` is minutes for `time`, and number of tracks for `track`
+ */
+export function setSleepTimer({ commit }, { type, value }) {
+    switch (type) {
+        case 'time':
+            commit(types.SET_SLEEP_TIMER, { type, endTime: Date.now() + value * 60 * 1000 });
+            break;
+        case 'track':
+            commit(types.SET_SLEEP_TIMER, { type, tracks: value });
+            break;
+        case 'playlist':
+            commit(types.SET_SLEEP_TIMER, { type });
+            break;
+    }
+}
+
+/**
+ * @param {ActionContext} param0
+ */
+export function cancelSleepTimer({ commit }) {
+    commit(types.SET_SLEEP_TIMER, null);
+}
+
+/**
+ * count down sleep timer when a track ends
+ * @param {ActionContext} param0
+ * @returns {boolean} whether playback should stop here
+ */
+export function countSleepTimerTrack({ commit, state, getters }) {
+    const timer = state.ui.sleepTimer;
+    if (!timer) return false;
+    if (getters.sleepAfterTrack) {
+        commit(types.SET_SLEEP_TIMER, null);
+        commit(types.SET_AUDIO_PAUSED, true);
+        return true;
+    }
+    if (timer.type === 'track') {
+        commit(types.SET_SLEEP_TIMER, { ...timer, tracks: timer.tracks - 1 });
+    }
+    return false;
+}
+
 /**
  * @param {ActionContext} param0
  * @param {{ tracks: Models.Track[], source?: any, start?: number }}
@@ -598,17 +754,105 @@ export async function favoriteTrack(_, { id, favorite = true }) {
  */
 export async function downloadTrack({ commit }, { metadata, quality }) {
     commit(types.UPDATE_DOWNLOAD_STATE, [false, true]);
-    const result = await Api.downloadSong(metadata, quality);
-    commit(types.UPDATE_DOWNLOAD_STATE, [result.success, false]);
-    return result;
+    const item = await Api.downloadSong(metadata, quality);
+    commit(types.UPDATE_DOWNLOAD_ITEM, item);
+    return item;
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {{ tracks: Models.Track[], name: string }} payload
+ */
+export function downloadTracks({ state }, { tracks, name }) {
+    return Api.downloadSongs(tracks, state.settings.bitRateDownload, name);
+}
+
+/**
+ * export lyric files next to downloaded tracks, lyric of playing track is
+ * exported as shown, with user's own lyric and time offset applied.
+ * resolves when main process pushes the summary, as it may take long
+ * @param {ActionContext} param0
+ * @param {{ tracks: Models.Track[] }} payload
+ * @returns {Promise<Types.LyricExportSummary>}
+ */
+export function exportLyrics({ state, getters }, { tracks }) {
+    let lyric;
+    if (tracks.length === 1 && tracks[0].id === getters.playing.id) {
+        const { lrc, mlrc, offset } = state.ui.lyric;
+        lyric = { lrc: shiftLyric(lrc, offset), mlrc: shiftLyric(mlrc, offset) };
+    }
+    return new Promise((resolve, reject) => {
+        const unlisten = listen('lyricExport:done', summary => {
+            unlisten();
+            resolve(summary);
+        });
+        Api.exportLyrics(tracks, lyric).then(started => {
+            if (started === true) return;
+            unlisten();
+            reject(new Error('正在导出其他歌词，请稍候'));
+        });
+    });
 }
 
 /**
  * @param {ActionContext} _
  */
-export async function checkDownloaded({ commit }, { metadata }) {
+export async function checkDownloaded({ commit, state }, { metadata }) {
+    if (metadata.localPath) {
+        // local files need no download
+        commit(types.UPDATE_DOWNLOAD_STATE, [true, false]);
+        return;
+    }
+    const downloading = state.download.items.some(item => item.metadata.id === metadata.id &&
+        (item.state === DOWNLOAD_STATE.PENDING || item.state === DOWNLOAD_STATE.DOWNLOADING));
     const result = await Api.checkDownloaded(metadata);
-    commit(types.UPDATE_DOWNLOAD_STATE, [result, false]);
+    commit(types.UPDATE_DOWNLOAD_STATE, [result, downloading]);
+}
+
+/**
+ * @param {ActionContext} param0
+ */
+export async function fetchDownloadQueue({ commit }) {
+    const items = await Api.getDownloadQueue();
+    commit(types.SET_DOWNLOAD_ITEMS, items);
+}
+
+/**
+ * @param {ActionContext} _
+ */
+export function startDownloadQueue() {
+    return Api.startDownloadQueue();
+}
+
+/**
+ * @param {ActionContext} _
+ * @param {{ key: string }} payload
+ */
+export function pauseDownload(_, { key }) {
+    return Api.pauseDownload(key);
+}
+
+/**
+ * @param {ActionContext} _
+ * @param {{ key: string }} payload
+ */
+export function resumeDownload(_, { key }) {
+    return Api.resumeDownload(key);
+}
+
+/**
+ * @param {ActionContext} _
+ * @param {{ key: string }} payload
+ */
+export function cancelDownload(_, { key }) {
+    return Api.cancelDownload(key);
+}
+
+/**
+ * @param {ActionContext} _
+ */
+export function clearDownloaded() {
+    return Api.clearDownloaded();
 }
 
 /**
@@ -640,7 +884,7 @@ export function insertTrackIntoPlaylist({ commit, state, getters }, payload) {
             t.source = payload.source;
         }
     }
-    const start = payload.index || state.playlist.index;
+    const start = payload.index ?? state.playlist.index;
     commit(types.INSERT_TRACK_INTO_PLAYLIST, { tracks: payload.tracks, start });
     if (getters.queue.loopMode === LOOP_MODE.RANDOM) {
         commit(types.INSERT_TRACK_INTO_RANDOM_PLAYLIST, { start, count: payload.tracks.length });
@@ -686,6 +930,94 @@ export async function unsubscribePlaylist({ commit }, payload) {
     throw resp;
 }
 
+/**
+ * @param {ActionContext} param0
+ * @param {{ name: string, privacy?: boolean }} payload
+ */
+export async function createPlaylist({ commit }, { name, privacy = false }) {
+    const resp = await Api.createPlaylist(name, privacy);
+    if (resp.code === 200) {
+        commit(types.CREATE_PLAYLIST, resp.playlist);
+        return resp;
+    }
+    throw resp;
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {{ id: number }} payload
+ */
+export async function deletePlaylist({ commit }, payload) {
+    const resp = await Api.deletePlaylist(payload.id);
+    if (resp.code === 200) {
+        commit(types.DELETE_PLAYLIST, payload);
+        return resp;
+    }
+    throw resp;
+}
+
+/**
+ * update name, description, tags or privacy of user's own playlist,
+ * only changed fields are sent. fields updated before one fails are still
+ * committed, then the error is rethrown
+ * @param {ActionContext} param0
+ * @param {{ playlist: Models.PlayList, name?: string, description?: string, tags?: string[], privacy?: number }} payload
+ * @returns {Promise<Models.PlayList>} updated playlist
+ */
+export async function updatePlaylistInfo({ commit }, { playlist, ...changes }) {
+    const { id } = playlist;
+    const updated = { ...playlist };
+    const check = resp => {
+        if (resp.code !== 200) throw resp;
+    };
+    try {
+        if (changes.name !== undefined && changes.name !== playlist.name) {
+            check(await Api.updatePlaylistName(id, changes.name));
+            updated.name = changes.name;
+        }
+        if (changes.description !== undefined && changes.description !== playlist.description) {
+            check(await Api.updatePlaylistDesc(id, changes.description));
+            updated.description = changes.description;
+        }
+        if (changes.tags !== undefined && changes.tags.join() !== playlist.tags.join()) {
+            check(await Api.updatePlaylistTags(id, changes.tags));
+            updated.tags = changes.tags;
+        }
+        if (changes.privacy === 0 && playlist.privacy !== 0) {
+            check(await Api.publishPlaylist(id));
+            updated.privacy = 0;
+        }
+    } finally {
+        commit(types.UPDATE_USER_PLAYLIST, updated);
+    }
+    return updated;
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {{ id: number, trackIds: number[] }} payload
+ */
+export async function reorderPlaylistTracks(_, { id, trackIds }) {
+    const resp = await Api.reorderPlaylistTracks(id, trackIds);
+    if (resp.code === 200) {
+        return resp;
+    }
+    throw resp;
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {number[]} payload id of all created playlists in new order
+ */
+export async function reorderUserPlaylists({ commit }, payload) {
+    const resp = await Api.updatePlaylistOrder(payload);
+    if (resp.code === 200) {
+        commit(types.SORT_USER_PLAYLISTS, payload);
+        return resp;
+    }
+    throw resp;
+}
+
 /**
  * @param {ActionContext} param0
  */
@@ -990,3 +1322,94 @@ export async function trashRadio(_, { id, time }) {
     }
     throw resp;
 }
+
+/**
+ * @param {ActionContext} param0
+ */
+export async function loadLocalTracks({ commit }) {
+    const tracks = await DbLocal.get();
+    commit(types.SET_LOCAL_TRACKS, tracks);
+}
+
+/**
+ * @param {ActionContext} param0
+ */
+export async function scanLocalMusic({ commit }) {
+    const started = await Api.scanLocalMusic();
+    if (started) {
+        commit(types.SET_LOCAL_SCAN_PROGRESS, { done: 0, total: 0 });
+    }
+    return started;
+}
+
+/**
+ * replace stored local tracks with scan result, except those in folders
+ * which could not be read this time
+ * @param {ActionContext} param0
+ * @param {Types.LocalScanResult} payload
+ */
+export async function saveLocalScanResult({ commit }, { tracks, unreadableDirs }) {
+    const source = { name: 'local' };
+    const list = tracks.map(t => new Track(t, { source }));
+    if (unreadableDirs.length > 0) {
+        const dirs = unreadableDirs.map(dir => dir.replace(/[\\/]+$/, ''));
+        const scanned = new Set(list.map(t => t.id));
+        const kept = (await DbLocal.get()).filter(t => !scanned.has(t.id) && dirs.some(dir => {
+            return t.localPath.startsWith(dir) && /[\\/]/.test(t.localPath[dir.length]);
+        }));
+        list.push(...kept);
+    }
+    await DbLocal.replace(list);
+    commit(types.SET_LOCAL_TRACKS, list);
+    commit(types.SET_LOCAL_SCAN_PROGRESS, null);
+}
+
+/**
+ * @param {ActionContext} param0
+ */
+export async function loadSmartPlaylists({ commit }) {
+    const lists = await DbSmartPlaylist.getAll();
+    commit(types.SET_SMART_PLAYLISTS, lists);
+}
+
+/**
+ * create or update smart playlist
+ * @param {ActionContext} param0
+ * @param {import('@/util/smartPlaylist').SmartPlaylist} payload
+ * @returns {Promise<number>} id
+ */
+export async function saveSmartPlaylist({ commit }, payload) {
+    const list = { ...payload };
+    if (!list.id) delete list.id;
+    list.id = await DbSmartPlaylist.save(list);
+    commit(types.UPDATE_SMART_PLAYLIST, list);
+    return list.id;
+}
+
+/**
+ * @param {ActionContext} param0
+ * @param {number} payload id
+ */
+export async function deleteSmartPlaylist({ commit }, payload) {
+    await DbSmartPlaylist.remove(payload);
+    commit(types.DELETE_SMART_PLAYLIST, payload);
+}
+
+/**
+ * submit play record, records are queued in main process and submitted when online
+ * @param {ActionContext} param0
+ * @param {{ id: number, time: number, source: any }} payload time in seconds
+ */
+export async function submitPlayRecord({ state }, { id, time, source }) {
+    if (!state.user.loginValid) return;
+    await Api.submitSongPlayed(id, time, source, state.user.info.id);
+}
+
+/**
+ * start submitting queued play records, after login state is restored
+ * @param {ActionContext} param0
+ */
+export async function flushPlayRecords({ state }) {
+    if (state.settings.offlineMode) return;
+    await Api.startPlayRecordQueue();
+}
@@ -1,3 +1,6 @@
+import { shiftLyric } from '@/util/lrc';
+import { LOOP_MODE } from './modules/playlist';
+
 /**
  * @typedef {import('./modules/index').State} State
  * @typedef {import('./util').EachReturnType<typeof import('./getters')>} Getters
@@ -28,3 +31,93 @@ export function playing(_, getters) {
     };
     return list[index];
 }
+
+/**
+ * track to be played when current one ends, in the same way as `playTrackOffset`,
+ * except that tracks not playable offline are not skipped
+ * @param {State} state
+ * @param {Getters} getters
+ * @typedef {Models.Track | null} NextTrackGetter
+ * @returns {NextTrackGetter}
+ */
+export function nextTrack(state, getters) {
+    const { index, list, loopMode } = getters.queue;
+    if (list.length === 0) return null;
+    switch (loopMode) {
+        case LOOP_MODE.SINGLE:
+            return list[index];
+        case LOOP_MODE.RANDOM: {
+            const { randomIndex, randomList } = state.playlist;
+            if (randomList.length === 0) return null;
+            return list[randomList[(randomIndex + 1) % randomList.length]] || null;
+        }
+        default:
+            return list[(index + 1) % list.length];
+    }
+}
+
+/**
+ * tracks after current one until the end of play queue, in play order
+ * @param {State} state
+ * @param {Getters} getters
+ * @typedef {Models.Track[]} UpcomingTracksGetter
+ * @returns {UpcomingTracksGetter}
+ */
+export function upcomingTracks(state, getters) {
+    const { index, list, loopMode } = getters.queue;
+    switch (loopMode) {
+        case LOOP_MODE.SINGLE:
+            return [];
+        case LOOP_MODE.RANDOM: {
+            const { randomIndex, randomList } = state.playlist;
+            return randomList.slice(randomIndex + 1).map(i => list[i]);
+        }
+        default:
+            return list.slice(index + 1);
+    }
+}
+
+/**
+ * whether sleep timer pauses playback when current track ends
+ * @param {State} state
+ * @param {Getters} getters
+ * @typedef {boolean} SleepAfterTrackGetter
+ * @returns {SleepAfterTrackGetter}
+ */
+export function sleepAfterTrack(state, getters) {
+    const timer = state.ui.sleepTimer;
+    if (!timer) return false;
+    switch (timer.type) {
+        case 'track':
+            return timer.tracks <= 1;
+        case 'playlist':
+            return getters.upcomingTracks.length === 0;
+        default:
+            return false;
+    }
+}
+
+/**
+ * lyric with translation or romaji merged, as `lyricTranslation` setting,
+ * and shifted by user's time offset
+ * @param {State} state
+ * @typedef {Types.LyricObjectItem | undefined} LyricToShowGetter
+ * @returns {LyricToShowGetter}
+ */
+export function lyricToShow(state) {
+    const { lyric } = state.ui;
+    let result;
+    switch (state.settings.lyricTranslation) {
+        case 'translation':
+            result = lyric.mlrc || lyric.lrc;
+            break;
+        case 'romaji':
+            result = lyric.romalrc || lyric.lrc;
+            break;
+        case 'off':
+        default:
+            result = lyric.lrc;
+            break;
+    }
+    return shiftLyric(result, lyric.offset);
+}
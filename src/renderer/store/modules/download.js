@@ -0,0 +1,48 @@
+// @ts-check
+
+import * as types from '../mutation-types';
+
+/**
+ * @enum {Types.DownloadState}
+ */
+export const DOWNLOAD_STATE = {
+    PENDING: 'pending',
+    DOWNLOADING: 'downloading',
+    PAUSED: 'paused',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+};
+
+const state = {
+    /** @type {Types.DownloadItem[]} */
+    items: []
+};
+
+/**
+ * @typedef {typeof state} State
+ * @type {{ [x: string]: (state: State, payload: any) => void }}
+ */
+const mutations = {
+    [types.SET_DOWNLOAD_ITEMS](state, /** @type {Types.DownloadItem[]} */ payload) {
+        state.items = payload;
+    },
+    [types.UPDATE_DOWNLOAD_ITEM](state, /** @type {Types.DownloadItem} */ payload) {
+        const i = state.items.findIndex(item => item.key === payload.key);
+        if (i >= 0) {
+            state.items.splice(i, 1, payload);
+        } else {
+            state.items.push(payload);
+        }
+    },
+    [types.REMOVE_DOWNLOAD_ITEM](state, /** @type {string} */ key) {
+        const i = state.items.findIndex(item => item.key === key);
+        if (i >= 0) {
+            state.items.splice(i, 1);
+        }
+    }
+};
+
+export default {
+    state,
+    mutations
+};
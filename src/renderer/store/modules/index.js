@@ -5,7 +5,10 @@
  * @typedef {import('./radio').State} RadioState
  * @typedef {import('./user').State} UserState
  * @typedef {import('./ui').State} UiState
- * @typedef {{ playlist: PlaylistState, settings: SettingsState, recommend: RecommendState, radio: RadioState, user: UserState, ui: UiState }} State
+ * @typedef {import('./download').State} DownloadState
+ * @typedef {import('./local').State} LocalState
+ * @typedef {import('./smart').State} SmartState
+ * @typedef {{ playlist: PlaylistState, settings: SettingsState, recommend: RecommendState, radio: RadioState, user: UserState, ui: UiState, download: DownloadState, local: LocalState, smart: SmartState }} State
  */
 
 export { default as playlist } from './playlist';
@@ -14,3 +17,6 @@ export { default as recommend } from './recommend';
 export { default as radio } from './radio';
 export { default as user } from './user';
 export { default as ui } from './ui';
+export { default as download } from './download';
+export { default as local } from './local';
+export { default as smart } from './smart';
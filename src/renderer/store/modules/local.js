@@ -0,0 +1,31 @@
+// @ts-check
+
+import * as types from '../mutation-types';
+
+const state = {
+    /** @type {Models.Track[]} */
+    tracks: [],
+    /**
+     * progress of scanning, `null` if not scanning
+     * @type {{ done: number, total: number }}
+     */
+    scanProgress: null
+};
+
+/**
+ * @typedef {typeof state} State
+ * @type {{ [x: string]: (state: State, payload: any) => void }}
+ */
+const mutations = {
+    [types.SET_LOCAL_TRACKS](state, /** @type {Models.Track[]} */ payload) {
+        state.tracks = payload;
+    },
+    [types.SET_LOCAL_SCAN_PROGRESS](state, /** @type {{ done: number, total: number }} */ payload) {
+        state.scanProgress = payload;
+    }
+};
+
+export default {
+    state,
+    mutations
+};
@@ -78,22 +78,17 @@ const mutations = {
     [types.SET_RANDOM_PLAYLIST_INDEX](state, /** @type {number} */ payload) {
         state.randomIndex = payload;
     },
-     // eslint-disable-next-line no-unused-vars
     [types.INSERT_TRACK_INTO_RANDOM_PLAYLIST](state, /** @type {{ start: number, count: number }} */ { start, count }) {
-        const { index, randomIndex, randomList } = state;
-        // queued track(s) should be played right after current track.
-        // so it's index in playlist (`index + 1`) should be instered in `randomList` after `randomIndex`
-        const insertPosition = randomIndex;
-        const seq = range(index + 1, index + 1 + count);
-        randomList.splice(insertPosition + 1, 0, ...seq);
-        const total = randomList.length;
-        for (let i = 0; i < total; i++) {
-            if (randomList[i] >= seq[0]) {
-                if (i <= insertPosition || insertPosition + count < i) {
-                    randomList[i] += count;
-                }
+        const { randomIndex, randomList } = state;
+        // tracks at or after `start` in playlist are moved back by `count`
+        for (let i = 0; i < randomList.length; i++) {
+            if (randomList[i] >= start) {
+                randomList[i] += count;
             }
         }
+        // queued track(s) should be played right after current track,
+        // wherever they are inserted in playlist
+        randomList.splice(randomIndex + 1, 0, ...range(start, start + count));
     },
     [types.REMOVE_TRACK_FROM_RANDOM_PLAYLIST](state, /** @type {{ start: number, count: number }} */ { start, count }) {
         const { randomIndex, randomList } = state;
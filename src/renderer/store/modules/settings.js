@@ -5,6 +5,19 @@ const DefaultSettings = {
     autoSign: false,
     bitRate: 'l',
     bitRateDownload: 'ex',
+    downloadConcurrency: 2,
+    downloadDir: '',
+    downloadFileName: '{artists} - {title}',
+    downloadCollision: 'rename',
+    downloadLyric: false,
+    lyricExportFormat: 'lrc',
+    lyricExportVariant: 'original',
+    localMusicDirs: [],
+    musicCacheLimit: 0,
+    offlineMode: false,
+    scrobbleEnabled: false,
+    scrobbleUrl: 'https://api.listenbrainz.org',
+    scrobbleToken: '',
     filterRcmd: false,
     startupPage: 'index',
     windowBorder: true,
@@ -18,6 +31,15 @@ const DefaultSettings = {
     themeVariety: 'auto',
     autoReplacePlaylist: false,
     lyricTranslation: 'translation',
+    desktopLyric: false,
+    equalizerEnabled: false,
+    equalizerPreset: 'flat',
+    equalizerGains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    volumeNormalization: false,
+    gaplessPlayback: false,
+    crossfadeDuration: 0,
+    sleepTimerFadeOut: true,
+    preservesPitch: true,
     titleBarShowsTrackName: true
 };
 
@@ -0,0 +1,41 @@
+// @ts-check
+
+import * as types from '../mutation-types';
+
+/**
+ * @typedef {import('@/util/smartPlaylist').SmartPlaylist} SmartPlaylist
+ */
+
+const state = {
+    /** @type {SmartPlaylist[]} */
+    lists: []
+};
+
+/**
+ * @typedef {typeof state} State
+ * @type {{ [x: string]: (state: State, payload: any) => void }}
+ */
+const mutations = {
+    [types.SET_SMART_PLAYLISTS](state, /** @type {SmartPlaylist[]} */ payload) {
+        state.lists = payload;
+    },
+    [types.UPDATE_SMART_PLAYLIST](state, /** @type {SmartPlaylist} */ payload) {
+        const i = state.lists.findIndex(l => l.id === payload.id);
+        if (i >= 0) {
+            state.lists.splice(i, 1, payload);
+        } else {
+            state.lists.push(payload);
+        }
+    },
+    [types.DELETE_SMART_PLAYLIST](state, /** @type {number} */ payload) {
+        const i = state.lists.findIndex(l => l.id === payload);
+        if (i >= 0) {
+            state.lists.splice(i, 1);
+        }
+    }
+};
+
+export default {
+    state,
+    mutations
+};
@@ -1,11 +1,18 @@
 import * as types from '../mutation-types';
 
+/**
+ * `time`: stop at `endTime`, `track`: stop after `tracks` more tracks end,
+ * `playlist`: stop when the last track in play queue ends
+ * @typedef {{ type: 'time' | 'track' | 'playlist', endTime?: number, tracks?: number }} SleepTimer
+ */
+
 const state = {
     audioSrc: '',
     audioVolume: 100,
     audioMute: false,
     coverImgSrc: '',
     paused: true,
+    playbackRate: 1,
     lyricLoading: false,
     /** @type {Partial<Types.MusicLyricRes>} */
     lyric: {},
@@ -27,7 +34,11 @@ const state = {
     collectTrackIds: [],
     radioMode: false,
     downloaded: false,
-    downloading: false
+    downloading: false,
+    /** @type {?SleepTimer} */
+    sleepTimer: null,
+    /** seconds before sleep timer pauses playback, estimated by track duration if not `time` */
+    sleepTimerRemaining: 0
 };
 
 /**
@@ -45,6 +56,9 @@ const mutations = {
     [types.SET_AUDIO_PAUSED](state, /** @type {boolean} */ payload) {
         state.paused = payload;
     },
+    [types.SET_PLAYBACK_RATE](state, /** @type {number} */ payload) {
+        state.playbackRate = payload;
+    },
     [types.UPDATE_PLAYING_URL](state, /** @type {string} */ payload) {
         state.audioSrc = payload;
     },
@@ -96,6 +110,13 @@ const mutations = {
     },
     [types.ACTIVATE_RADIO](state, /** @type {boolean} */ payload) {
         state.radioMode = payload;
+    },
+    [types.SET_SLEEP_TIMER](state, /** @type {?SleepTimer} */ payload) {
+        state.sleepTimer = payload;
+        if (!payload) state.sleepTimerRemaining = 0;
+    },
+    [types.SET_SLEEP_TIMER_REMAINING](state, /** @type {number} */ payload) {
+        state.sleepTimerRemaining = payload;
     }
 };
 
@@ -76,6 +76,23 @@ const mutations = {
             state.playlist.splice(index, 1);
         }
     },
+    [types.CREATE_PLAYLIST](state, /** @type {Types.PlaylistDetail} */ payload) {
+        // right after the "liked songs" playlist
+        state.playlist.splice(1, 0, new PlayList(payload));
+    },
+    [types.DELETE_PLAYLIST](state, /** @type {{id:number}} */ { id }) {
+        const index = state.playlist.findIndex(l => l.id === id);
+        if (index !== -1) {
+            state.playlist.splice(index, 1);
+        }
+    },
+    [types.SORT_USER_PLAYLISTS](state, /** @type {number[]} */ payload) {
+        const order = new Map(payload.map((id, i) => [id, i]));
+        const created = state.playlist.filter(l => order.has(l.id));
+        created.sort((a, b) => order.get(a.id) - order.get(b.id));
+        const rest = state.playlist.filter(l => !order.has(l.id));
+        state.playlist = [...created, ...rest];
+    },
     [types.SET_USER_ALBUMS](state, /** @type {Types.AlbumDetail[]} */ payload) {
         state.albums = payload.map(al => new Album(al));
     },
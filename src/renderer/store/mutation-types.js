@@ -9,6 +9,9 @@ export const SET_USER_PLAYLISTS = 'SET_USER_PLAYLISTS';
 export const UPDATE_USER_PLAYLIST = 'UPDATE_USER_PLAYLIST';
 export const SUBSCRIBE_PLAYLIST = 'SUBSCRIBE_PLAYLIST';
 export const UNSUBSCRIBE_PLAYLIST = 'UNSUBSCRIBE_PLAYLIST';
+export const CREATE_PLAYLIST = 'CREATE_PLAYLIST';
+export const DELETE_PLAYLIST = 'DELETE_PLAYLIST';
+export const SORT_USER_PLAYLISTS = 'SORT_USER_PLAYLISTS';
 export const SET_USER_ALBUMS = 'SET_USER_ALBUMS';
 export const SUBSCRIBE_ALBUM = 'SUBSCRIBE_ALBUM';
 export const UNSUBSCRIBE_ALBUM = 'UNSUBSCRIBE_ALBUM';
@@ -28,6 +31,7 @@ export const UPDATE_PLAYING_URL = 'UPDATE_PLAYING_URL';
 export const UPDATE_DOWNLOAD_STATE = 'UPDATE_DOWNLOAD_STATE';
 export const SET_AUDIO_VOLUME = 'SET_AUDIO_VOLUME';
 export const SET_AUDIO_PAUSED = 'SET_AUDIO_PAUSED';
+export const SET_PLAYBACK_RATE = 'SET_PLAYBACK_RATE';
 export const SET_COVER_IMG_SRC = 'SET_COVER_IMG_SRC';
 export const SET_LYRIC_LOADING = 'SET_LYRIC_LOADING';
 export const SET_ACTIVE_LYRIC = 'SET_ACTIVE_LYRIC';
@@ -38,6 +42,8 @@ export const SET_SEARCH_ERROR = 'SET_SEARCH_ERROR';
 export const SHOW_COLLECT_POPUP = 'SHOW_COLLECT_POPUP';
 export const HIDE_COLLECT_POPUP = 'HIDE_COLLECT_POPUP';
 export const SET_COLLECT_TRACKS = 'SET_COLLECT_TRACKS';
+export const SET_SLEEP_TIMER = 'SET_SLEEP_TIMER';
+export const SET_SLEEP_TIMER_REMAINING = 'SET_SLEEP_TIMER_REMAINING';
 
 // Playlist
 export const SET_PLAY_LIST = 'SET_PLAY_LIST';
@@ -69,3 +75,16 @@ export const RESTORE_RADIO = 'RESTORE_RADIO';
 export const SET_RECOMMEND_SONGS = 'SET_RECOMMEND_SONGS';
 export const SET_RECOMMEND_STATISTICS = 'SET_RECOMMEND_STATISTICS';
 export const REPLACE_RECOMMEND_SONG = 'REPLACE_RECOMMEND_SONG';
+
+// Download
+export const SET_DOWNLOAD_ITEMS = 'SET_DOWNLOAD_ITEMS';
+export const UPDATE_DOWNLOAD_ITEM = 'UPDATE_DOWNLOAD_ITEM';
+export const REMOVE_DOWNLOAD_ITEM = 'REMOVE_DOWNLOAD_ITEM';
+
+// Local
+export const SET_LOCAL_TRACKS = 'SET_LOCAL_TRACKS';
+export const SET_LOCAL_SCAN_PROGRESS = 'SET_LOCAL_SCAN_PROGRESS';
+
+export const SET_SMART_PLAYLISTS = 'SET_SMART_PLAYLISTS';
+export const UPDATE_SMART_PLAYLIST = 'UPDATE_SMART_PLAYLIST';
+export const DELETE_SMART_PLAYLIST = 'DELETE_SMART_PLAYLIST';
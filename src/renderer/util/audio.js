@@ -0,0 +1,442 @@
+import debug from 'debug';
+
+import Api from '@/api/ipc';
+import * as DbGain from '@/api/database/gain';
+
+/** center frequencies of equalizer bands, in Hz */
+export const EqualizerBands = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+/** max gain of a single equalizer band, in dB */
+export const EqualizerMaxGain = 12;
+
+/**
+ * gains of each band, in dB
+ * @type {{ [key: string]: { name: string, gains: number[] } }}
+ */
+export const EqualizerPresets = {
+    flat: { name: '无', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    pop: { name: '流行', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+    rock: { name: '摇滚', gains: [5, 4, 2, -1, -2, -1, 2, 4, 5, 5] },
+    jazz: { name: '爵士', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+    classical: { name: '古典', gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+    electronic: { name: '电子', gains: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5] },
+    vocal: { name: '人声', gains: [-2, -1, 0, 2, 4, 4, 3, 1, 0, -1] },
+    bass: { name: '低音增强', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+    treble: { name: '高音增强', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] }
+};
+
+const d = debug('Audio');
+
+/** loudness that tracks are normalised to, 95th percentile of 50ms RMS, in dBFS */
+const ReferenceLevel = -14;
+/** max gain applied by normalisation, in dB */
+const MaxNormalizeGain = 12;
+
+/** next track is preloaded when current one has so many seconds left */
+const PreloadAhead = 30;
+/** audio element takes over from `fader` when they are this close, in seconds */
+const HandoverTolerance = 0.05;
+/** times audio element seeks to catch up with `fader`, before giving up */
+const HandoverMaxSeeks = 3;
+
+/** @type {import('@/store').Store} */
+let _store;
+/** @type {HTMLAudioElement} */
+let _audio;
+/** @type {AudioContext} */
+let ctx = null;
+/** @type {GainNode} */
+let normalizer;
+/** @type {BiquadFilterNode[]} */
+let filters = [];
+/** track id waiting to be analysed, once it's fully buffered */
+let pendingAnalysis = null;
+/** track ids being analysed */
+const analysing = new Set();
+/**
+ * preloads next track, and starts it right when current one ends, until
+ * audio element loads next track and catches up with it
+ */
+const fader = new Audio();
+fader.crossOrigin = 'anonymous';
+fader.preload = 'auto';
+/** @type {GainNode} */
+let mainGain;
+/** @type {GainNode} */
+let faderGain;
+/** id of next track loaded into `fader` */
+let preloadedId = null;
+/** src of track whose transition is scheduled or done */
+let transitionSrc = '';
+/** @type {ReturnType<typeof setTimeout>} */
+let transitionTimer = null;
+/** audio element is muted while `fader` plays the same track, until it catches up */
+let handover = false;
+/** seeks made by audio element to catch up with `fader` */
+let handoverSeeks = 0;
+
+/**
+ * @param {number} db
+ */
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * gain in dB to bring track to reference level, without clipping
+ * @param {AudioBuffer} buffer
+ */
+function computeGain(buffer) {
+    const block = Math.round(buffer.sampleRate * 0.05);
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        channels.push(buffer.getChannelData(c));
+    }
+    const levels = [];
+    let peak = 0;
+    for (let start = 0; start + block <= buffer.length; start += block) {
+        let sum = 0;
+        for (const data of channels) {
+            for (let i = start; i < start + block; i++) {
+                const v = data[i];
+                sum += v * v;
+                if (Math.abs(v) > peak) peak = Math.abs(v);
+            }
+        }
+        levels.push(sum / (block * channels.length));
+    }
+    if (levels.length === 0) return 0;
+    levels.sort((a, b) => a - b);
+    const level = 10 * Math.log10(levels[Math.floor(levels.length * 0.95)] || 1e-10);
+    let gain = Math.min(Math.max(ReferenceLevel - level, -MaxNormalizeGain), MaxNormalizeGain);
+    if (peak > 0) gain = Math.min(gain, -20 * Math.log10(peak));
+    return Math.round(gain * 100) / 100;
+}
+
+/**
+ * audio element can only be connected once, so the graph is created when
+ * first needed and never torn down, it does nothing with all settings off
+ */
+function createGraph() {
+    ctx = new AudioContext();
+    const source = ctx.createMediaElementSource(_audio);
+    mainGain = ctx.createGain();
+    source.connect(mainGain);
+    faderGain = ctx.createGain();
+    ctx.createMediaElementSource(fader).connect(faderGain);
+    normalizer = ctx.createGain();
+    mainGain.connect(normalizer);
+    faderGain.connect(normalizer);
+    filters = EqualizerBands.map((frequency, i) => {
+        const filter = ctx.createBiquadFilter();
+        if (i === 0) {
+            filter.type = 'lowshelf';
+        } else if (i === EqualizerBands.length - 1) {
+            filter.type = 'highshelf';
+        } else {
+            filter.type = 'peaking';
+            filter.Q.value = 1.4;
+        }
+        filter.frequency.value = frequency;
+        return filter;
+    });
+    [normalizer, ...filters, ctx.destination].reduce((prev, next) => {
+        prev.connect(next);
+        return next;
+    });
+    if (!_audio.paused) ctx.resume();
+}
+
+/**
+ * @param {import('@/store/modules/settings').State} settings
+ * @returns {number[]}
+ */
+export function equalizerGains(settings) {
+    if (settings.equalizerPreset === 'custom') return settings.equalizerGains;
+    const preset = EqualizerPresets[settings.equalizerPreset] || EqualizerPresets.flat;
+    return preset.gains;
+}
+
+function applyEqualizer() {
+    const { settings } = _store.state;
+    const gains = settings.equalizerEnabled ? equalizerGains(settings) : EqualizerPresets.flat.gains;
+    filters.forEach((filter, i) => {
+        filter.gain.setTargetAtTime(gains[i] || 0, ctx.currentTime, 0.05);
+    });
+}
+
+/**
+ * @param {boolean} [smooth=false] fade to new gain slowly, when it's changed during playback
+ */
+async function applyNormalization(smooth = false) {
+    const { id } = _store.getters.playing;
+    let gain = 0;
+    if (_store.state.settings.volumeNormalization && id) {
+        const cached = await DbGain.get(id);
+        if (cached) {
+            gain = cached.gain;
+        } else {
+            pendingAnalysis = id;
+        }
+    }
+    normalizer.gain.setTargetAtTime(dbToGain(gain), ctx.currentTime, smooth ? 1 : 0.01);
+}
+
+function isFullyBuffered() {
+    const { buffered, duration } = _audio;
+    return buffered.length === 1 && buffered.start(0) === 0 && buffered.end(0) >= duration - 0.5;
+}
+
+/**
+ * decode whole track, which is served from cache after fully buffered
+ */
+async function analyse() {
+    const id = pendingAnalysis;
+    if (!id || id !== _store.getters.playing.id || analysing.has(id) || !isFullyBuffered()) return;
+    pendingAnalysis = null;
+    analysing.add(id);
+    try {
+        const res = await fetch(_audio.currentSrc, { headers: { Range: 'bytes=0-' } });
+        const buffer = await ctx.decodeAudioData(await res.arrayBuffer());
+        await DbGain.save(id, computeGain(buffer));
+        if (id === _store.getters.playing.id) applyNormalization(true);
+    } catch (e) {
+        // leave it as is, and try again next time it's played
+        d('Failed to analyse track id=%d: %o', id, e);
+    } finally {
+        analysing.delete(id);
+    }
+}
+
+/**
+ * @param {Models.Track} track
+ * @returns {Promise<string>}
+ */
+async function trackSrc(track) {
+    const resp = track.localPath
+        ? await Api.getLocalMusicUrl(track.localPath)
+        : await Api.getMusicUrlLocal(track.id, _store.state.settings.bitRate);
+    return resp.url;
+}
+
+/**
+ * load next track into `fader`, MusicServer writes it into cache meanwhile
+ */
+async function preloadNext() {
+    const track = _store.getters.nextTrack;
+    if (!track || !track.id || track.id === preloadedId) return;
+    preloadedId = track.id;
+    try {
+        const src = await trackSrc(track);
+        // next track may be changed while getting its url
+        if (preloadedId !== track.id) return;
+        fader.src = src;
+        fader.load();
+    } catch (e) {
+        // next track would be loaded as usual
+        d('Failed to preload track id=%d: %o', track.id, e);
+    }
+}
+
+/**
+ * seconds of crossfade between current and next track, `0` for gapless.
+ * tracks on the same album are usually meant to be continuous, no crossfade for them
+ */
+function crossfadeDuration() {
+    const seconds = _store.state.settings.crossfadeDuration;
+    const current = _store.getters.playing;
+    const next = _store.getters.nextTrack;
+    if (!seconds || !next) return 0;
+    if (current.album && next.album && current.album.id && current.album.id === next.album.id) return 0;
+    return seconds;
+}
+
+function resetMainGain() {
+    handover = false;
+    mainGain.gain.cancelScheduledValues(ctx.currentTime);
+    mainGain.gain.setValueAtTime(1, ctx.currentTime);
+}
+
+function cancelTransition() {
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+}
+
+function stopFader() {
+    preloadedId = null;
+    fader.pause();
+    fader.removeAttribute('src');
+    fader.load();
+}
+
+/**
+ * start preloaded next track in `fader` when current one ends, or fade it
+ * in while current one fades out. audio element goes on with current track
+ * until it ends, then player loads next track as usual
+ * @param {number} duration crossfade duration in seconds
+ */
+async function startNext(duration) {
+    transitionTimer = null;
+    // audio element is already paused if it has ended
+    if (_store.state.ui.paused) return;
+    fader.volume = _audio.volume;
+    fader.defaultPlaybackRate = fader.playbackRate = _audio.playbackRate;
+    fader.preservesPitch = _audio.preservesPitch;
+    try {
+        await fader.play();
+    } catch (e) {
+        // let next track be loaded as usual
+        d('Failed to start next track in fader: %o', e);
+        return;
+    }
+    const now = ctx.currentTime;
+    faderGain.gain.cancelScheduledValues(now);
+    mainGain.gain.cancelScheduledValues(now);
+    if (duration > 0) {
+        faderGain.gain.setValueAtTime(0, now);
+        faderGain.gain.linearRampToValueAtTime(1, now + duration);
+        mainGain.gain.setValueAtTime(1, now);
+        mainGain.gain.linearRampToValueAtTime(0, now + duration);
+    } else {
+        faderGain.gain.setValueAtTime(1, now);
+    }
+}
+
+/**
+ * preload next track, and schedule it to start when current one ends
+ */
+function checkTransition() {
+    const { gaplessPlayback } = _store.state.settings;
+    const { duration, currentTime, currentSrc, paused, playbackRate } = _audio;
+    if (!ctx || !gaplessPlayback || paused || handover || !Number.isFinite(duration)) return;
+    const next = _store.getters.nextTrack;
+    // single track loop is handled by player, and so is sleep timer
+    if (!next || next === _store.getters.playing || _store.getters.sleepAfterTrack) return;
+    const remaining = (duration - currentTime) / playbackRate;
+    if (remaining <= PreloadAhead) preloadNext();
+    if (transitionTimer !== null || transitionSrc === currentSrc) return;
+    // next track not loaded in time, it would be loaded as usual
+    if (preloadedId !== next.id || fader.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) return;
+    const crossfade = crossfadeDuration();
+    // `timeupdate` fires every 250ms, schedule a timer for accuracy
+    if (remaining > crossfade + 1) return;
+    transitionSrc = currentSrc;
+    transitionTimer = setTimeout(startNext, Math.max(remaining - crossfade, 0) * 1000, crossfade);
+}
+
+/**
+ * audio element starts next track from where `fader` is playing
+ */
+function catchUpFader() {
+    handoverSeeks++;
+    _audio.currentTime = fader.currentTime;
+}
+
+/**
+ * audio element plays on from `fader` once they are close enough
+ */
+function finishHandover() {
+    if (!handover || _audio.paused || _audio.seeking) return;
+    const drift = fader.currentTime - _audio.currentTime;
+    if (Math.abs(drift) > HandoverTolerance && handoverSeeks < HandoverMaxSeeks) {
+        catchUpFader();
+        return;
+    }
+    stopFader();
+    resetMainGain();
+}
+
+function updateGraph() {
+    if (!_audio) return;
+    const { equalizerEnabled, volumeNormalization, gaplessPlayback } = _store.state.settings;
+    if (!ctx) {
+        if (!equalizerEnabled && !volumeNormalization && !gaplessPlayback) return;
+        createGraph();
+    }
+    applyEqualizer();
+    applyNormalization();
+}
+
+/**
+ * @param {import('@/store').Store} store
+ */
+export function injectStore(store) {
+    _store = store;
+    store.watch(({ settings }) => [
+        settings.equalizerEnabled,
+        settings.equalizerPreset,
+        settings.equalizerGains.join(),
+        settings.volumeNormalization,
+        settings.gaplessPlayback
+    ].join(), updateGraph);
+    store.watch(state => state.ui.paused, paused => {
+        if (!paused || !ctx) return;
+        cancelTransition();
+        if (!fader.paused) stopFader();
+        resetMainGain();
+    });
+}
+
+/**
+ * @param {HTMLAudioElement} audioEl
+ */
+export function bindAudioElement(audioEl) {
+    _audio = audioEl;
+    audioEl.addEventListener('play', () => {
+        // context created without user gesture starts suspended
+        if (ctx && ctx.state === 'suspended') ctx.resume();
+    });
+    audioEl.addEventListener('loadstart', () => {
+        pendingAnalysis = null;
+        transitionSrc = '';
+        cancelTransition();
+        if (!ctx) return;
+        applyNormalization();
+        if (!fader.paused && _store.getters.playing.id === preloadedId) {
+            // `fader` is playing this track, stay muted until catching up with it
+            handover = true;
+            handoverSeeks = 0;
+            mainGain.gain.cancelScheduledValues(ctx.currentTime);
+            mainGain.gain.setValueAtTime(0, ctx.currentTime);
+        } else {
+            if (!fader.paused) stopFader();
+            resetMainGain();
+        }
+    });
+    audioEl.addEventListener('loadedmetadata', () => {
+        if (handover) catchUpFader();
+    });
+    audioEl.addEventListener('playing', finishHandover);
+    audioEl.addEventListener('seeked', finishHandover);
+    audioEl.addEventListener('ended', () => {
+        // timer is late, start next track at once
+        if (transitionTimer !== null) {
+            clearTimeout(transitionTimer);
+            startNext(0);
+        }
+    });
+    audioEl.addEventListener('timeupdate', checkTransition);
+    audioEl.addEventListener('seeking', () => {
+        if (handover) return;
+        // remaining time changed, schedule again
+        cancelTransition();
+        transitionSrc = '';
+        if (!fader.paused) {
+            // seeking during crossfade, go on with current track only
+            fader.pause();
+            fader.currentTime = 0;
+            resetMainGain();
+        }
+    });
+    fader.addEventListener('ended', () => {
+        if (handover) resetMainGain();
+        stopFader();
+    });
+    audioEl.addEventListener('progress', () => {
+        if (pendingAnalysis) analyse();
+    });
+    audioEl.addEventListener('canplaythrough', () => {
+        if (pendingAnalysis) analyse();
+    });
+    updateGraph();
+}
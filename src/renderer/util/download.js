@@ -0,0 +1,65 @@
+import Message from 'muse-ui-message';
+
+import { listen } from '@/api/ipc';
+
+import {
+    UPDATE_DOWNLOAD_ITEM,
+    REMOVE_DOWNLOAD_ITEM,
+    UPDATE_DOWNLOAD_STATE
+} from '@/store/mutation-types';
+import { DOWNLOAD_STATE } from '@/store/modules/download';
+
+/**
+ * @typedef {import('@/store').Store} Store
+ */
+
+/**
+ * @param {Types.DownloadBatchSummary} summary
+ */
+function showBatchSummary({ name, succeeded, skipped, failed, paused }) {
+    const pausedText = paused.length > 0 ? `，暂停 ${paused.length} 首` : '';
+    const content = h => h('div', [
+        h('p', `成功 ${succeeded.length} 首，跳过已下载 ${skipped.length} 首，失败 ${failed.length} 首${pausedText}`),
+        failed.length > 0 ? h('ul', { style: { maxHeight: '50vh', overflowY: 'auto' } }, failed.map(({ track, reason }) => h('li', `${track.name} - ${track.artistName}：${reason}`))) : null
+    ]);
+    Message.alert(content, `下载完成：${name}`);
+}
+
+/**
+ * @param {Types.RetagSummary} summary
+ */
+function showRetagSummary({ total, updated, skipped, failed }) {
+    const content = h => h('div', [
+        h('p', `共 ${total} 个文件，更新 ${updated} 个，跳过无法识别的 ${skipped} 个，失败 ${failed.length} 个`),
+        failed.length > 0 ? h('ul', { style: { maxHeight: '50vh', overflowY: 'auto' } }, failed.map(({ file, reason }) => h('li', `${file}：${reason}`))) : null
+    ]);
+    Message.alert(content, '标签写入完成');
+}
+
+/**
+ * @param {Store} store
+ */
+export function injectStore(store) {
+    store.dispatch('fetchDownloadQueue');
+    listen('download:update', (/** @type {Types.DownloadItem} */ item) => {
+        store.commit(UPDATE_DOWNLOAD_ITEM, item);
+        // keep download button of the playing track updated
+        if (item.metadata.id !== store.getters.playing.id) return;
+        switch (item.state) {
+            case DOWNLOAD_STATE.PENDING:
+            case DOWNLOAD_STATE.DOWNLOADING:
+                store.commit(UPDATE_DOWNLOAD_STATE, [false, true]);
+                break;
+            case DOWNLOAD_STATE.COMPLETED:
+                store.commit(UPDATE_DOWNLOAD_STATE, [true, false]);
+                break;
+            default:
+                store.commit(UPDATE_DOWNLOAD_STATE, [store.state.ui.downloaded, false]);
+        }
+    });
+    listen('download:remove', (/** @type {string} */ key) => {
+        store.commit(REMOVE_DOWNLOAD_ITEM, key);
+    });
+    listen('download:batch', showBatchSummary);
+    listen('retag:done', showRetagSummary);
+}
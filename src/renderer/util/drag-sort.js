@@ -0,0 +1,89 @@
+/**
+ * move item at `from` to be inserted before `to`, in a copy of the array
+ * @template T
+ * @param {T[]} arr
+ * @param {number} from
+ * @param {number} to
+ * @returns {T[]}
+ */
+export function moveItem(arr, from, to) {
+    const result = arr.slice();
+    const [item] = result.splice(from, 1);
+    result.splice(to > from ? to - 1 : to, 0, item);
+    return result;
+}
+
+/**
+ * reorder list items by HTML5 drag and drop. bind `handleDrag*` to native
+ * events of each item, and `dropClass` to its class, with the same optional
+ * `list` to tell lists in one component apart. component should implement
+ * `handleDragSort(from, to, list)`, where `to` is the index to insert before
+ */
+export const DragSortMixin = {
+    data() {
+        return {
+            /** list of item being dragged */
+            dragList: null,
+            dragIndex: -1,
+            /** item being dragged would be inserted before this index */
+            dropIndex: -1
+        };
+    },
+    methods: {
+        /**
+         * override to tell if item at `(index, list)` could be dragged
+         * @returns {boolean}
+         */
+        isDragSortable() {
+            return true;
+        },
+        /**
+         * override to keep items before this index of `(list)` where they are
+         * @returns {number}
+         */
+        minDropIndex() {
+            return 0;
+        },
+        /**
+         * @param {number} index
+         * @param {number} length count of items in list
+         * @param {any} [list]
+         */
+        dropClass(index, length, list = null) {
+            if (this.dragIndex === -1 || list !== this.dragList) return null;
+            return {
+                'drag-sort--dragging': index === this.dragIndex,
+                'drag-sort--drop-before': index === this.dropIndex,
+                'drag-sort--drop-after': index === length - 1 && this.dropIndex === length
+            };
+        },
+        /** @param {number} index @param {DragEvent} e @param {any} [list] */
+        handleDragStart(index, e, list = null) {
+            if (!this.isDragSortable(index, list)) return;
+            this.dragList = list;
+            this.dragIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+        },
+        /** @param {number} index @param {DragEvent} e @param {any} [list] */
+        handleDragOver(index, e, list = null) {
+            if (this.dragIndex === -1 || list !== this.dragList) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const rect = e.currentTarget.getBoundingClientRect();
+            const dropIndex = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+            this.dropIndex = Math.max(dropIndex, this.minDropIndex(list));
+        },
+        /** @param {any} [list] */
+        handleDrop(list = null) {
+            const { dragList, dragIndex: from, dropIndex: to } = this;
+            this.handleDragEnd();
+            if (list !== dragList || from === -1 || to === -1 || to === from || to === from + 1) return;
+            this.handleDragSort(from, to, list);
+        },
+        handleDragEnd() {
+            this.dragList = null;
+            this.dragIndex = -1;
+            this.dropIndex = -1;
+        }
+    }
+};
@@ -0,0 +1,99 @@
+import * as DbHistory from '@/api/database/history';
+
+/** plays shorter than this, e.g. failed to load, are not recorded */
+const MinListened = 1000;
+
+/** gaps between ticks longer than this are not counted, e.g. system sleep */
+const MaxTickGap = 2000;
+
+/** @type {import('@/store').Store} */
+let _store;
+/** @type {HTMLAudioElement} */
+let _audio;
+
+/** @type {import('@/api/database/history').HistoryRecord} */
+let session = null;
+/** `performance.now()` of last counted moment, `null` when paused */
+let lastTick = null;
+
+function tick() {
+    if (!session || lastTick === null) return;
+    const now = performance.now();
+    session.listened += Math.min(now - lastTick, MaxTickGap);
+    lastTick = now;
+}
+
+/**
+ * @param {Models.Track} track
+ */
+function startSession(track) {
+    session = {
+        track: {
+            id: track.id,
+            name: track.name,
+            artists: (track.artists || []).map(ar => ({ id: ar.id, name: ar.name })),
+            album: track.album ? { id: track.album.id, name: track.album.name } : { id: 0, name: '' }
+        },
+        start: Date.now(),
+        listened: 0,
+        duration: track.duration || 0,
+        finished: false
+    };
+    if (track.source) {
+        session.source = { name: track.source.name, id: track.source.id };
+    }
+}
+
+/**
+ * @param {boolean} finished
+ */
+function endSession(finished) {
+    tick();
+    lastTick = null;
+    if (!session) return;
+    const record = session;
+    session = null;
+    record.listened = Math.round(record.listened);
+    record.finished = finished;
+    if (record.listened >= MinListened) {
+        DbHistory.add(record);
+    }
+}
+
+function handlePlaying() {
+    const { playing } = _store.getters;
+    if (!playing.id) return;
+    if (!session || session.track.id !== playing.id) {
+        endSession(false);
+        startSession(playing);
+    }
+    lastTick = performance.now();
+}
+
+function handlePause() {
+    tick();
+    lastTick = null;
+}
+
+/**
+ * @param {import('@/store').Store} store
+ */
+export function injectStore(store) {
+    _store = store;
+    // track changed before it ends
+    store.watch((_, getters) => getters.playing.id, id => {
+        if (session && session.track.id !== id) endSession(false);
+    });
+    window.addEventListener('beforeunload', () => endSession(false));
+}
+
+/**
+ * @param {HTMLAudioElement} audioEl
+ */
+export function bindAudioElement(audioEl) {
+    _audio = audioEl;
+    _audio.addEventListener('playing', handlePlaying);
+    _audio.addEventListener('timeupdate', tick);
+    _audio.addEventListener('pause', handlePause);
+    _audio.addEventListener('ended', () => endSession(true));
+}
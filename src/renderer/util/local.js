@@ -0,0 +1,41 @@
+import Message from 'muse-ui-message';
+
+import { listen } from '@/api/ipc';
+
+import { SET_LOCAL_SCAN_PROGRESS } from '@/store/mutation-types';
+
+/**
+ * @typedef {import('@/store').Store} Store
+ */
+
+/**
+ * @param {Types.LocalScanResult} result
+ */
+function showScanFailures({ tracks, failed }) {
+    const content = h => h('div', [
+        h('p', `找到 ${tracks.length} 首歌曲，${failed.length} 个文件或目录读取失败`),
+        h('ul', { style: { maxHeight: '50vh', overflowY: 'auto' } }, failed.map(({ file, reason }) => h('li', `${file}：${reason}`)))
+    ]);
+    Message.alert(content, '扫描完成');
+}
+
+/**
+ * @param {Store} store
+ */
+export function injectStore(store) {
+    store.dispatch('loadLocalTracks');
+    listen('local:progress', (/** @type {{ done: number, total: number }} */ progress) => {
+        store.commit(SET_LOCAL_SCAN_PROGRESS, progress);
+    });
+    listen('local:done', async (/** @type {Types.LocalScanResult} */ result) => {
+        await store.dispatch('saveLocalScanResult', result);
+        if (result.failed.length > 0) {
+            showScanFailures(result);
+        }
+    });
+    listen('local:error', (/** @type {string} */ message) => {
+        // stored tracks are left as they are
+        store.commit(SET_LOCAL_SCAN_PROGRESS, null);
+        Message.alert(`扫描本地音乐失败：${message}`, '扫描失败');
+    });
+}
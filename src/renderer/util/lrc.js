@@ -0,0 +1,90 @@
+import { Lrc, timestampToString } from 'lrc-kit';
+
+/**
+ * @typedef {Types.LyricObjectItem['lyrics'][0]} LyricLine
+ */
+
+/**
+ * parse lrc text, lines sharing the same timestamp are treated as translation
+ * @param {string} text
+ * @returns {LyricLine[]}
+ */
+export function parseLrc(text) {
+    const lrc = Lrc.parse(text);
+    // `[offset:+500]` means lyrics should show up 500ms earlier
+    const offset = Number(lrc.info.offset) / 1000 || 0;
+    const lines = lrc.lyrics
+        .map(({ timestamp, content }) => ({ timestamp: Math.max(timestamp - offset, 0), content }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    /** @type {LyricLine[]} */
+    const result = [];
+    for (const line of lines) {
+        const last = result[result.length - 1];
+        if (last && last.timestamp === line.timestamp && !last.trans) {
+            last.trans = line.content;
+        } else {
+            result.push(line);
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {number} timestamp in seconds
+ * @returns {string} like `[01:23.45]`
+ */
+export function timeTag(timestamp) {
+    return `[${timestampToString(Math.max(timestamp, 0))}]`;
+}
+
+/**
+ * @param {LyricLine[]} lines
+ */
+export function stringifyLrc(lines) {
+    const result = [];
+    for (const line of lines) {
+        const tag = timeTag(line.timestamp);
+        result.push(tag + line.content);
+        if (line.trans) result.push(tag + line.trans);
+    }
+    return result.join('\n');
+}
+
+/**
+ * @param {Types.LyricObjectItem} lyric
+ * @param {number} offset in seconds, positive value makes lyric show up earlier
+ * @returns {Types.LyricObjectItem}
+ */
+export function shiftLyric(lyric, offset) {
+    if (!lyric || !lyric.lyrics || !offset) return lyric;
+    return {
+        ...lyric,
+        lyrics: lyric.lyrics.map(line => ({
+            ...line,
+            timestamp: line.timestamp - offset,
+            words: line.words && line.words.map(w => ({ ...w, timestamp: w.timestamp - offset }))
+        }))
+    };
+}
+
+/**
+ * replace server or local lyric with user's own one, if there is
+ * @param {Types.MusicLyricRes} lyric
+ * @param {import('@/api/database/lyric').LyricOverride} override
+ */
+export function applyLyricOverride(lyric, override) {
+    if (!override) return lyric;
+    const { lyrics, offset } = override;
+    if (lyrics && lyrics.length > 0) {
+        /** @type {Types.MusicLyricRes} */
+        const result = {
+            lrc: { lyrics: lyrics.map(({ timestamp, content }) => ({ timestamp, content })) },
+            custom: true,
+            offset
+        };
+        // translation follows `lyricTranslation` setting, like server lyric
+        if (lyrics.some(l => l.trans)) result.mlrc = { lyrics };
+        return result;
+    }
+    return { ...lyric, offset };
+}
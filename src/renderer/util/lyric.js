@@ -0,0 +1,70 @@
+import { encm } from '@/util/globals';
+
+const TAG = 'DesktopLyric';
+
+/** @type {import('@/store').Store} */
+let _store;
+/** index of current line, `-1` before the first line */
+let current = -1;
+
+/**
+ * @typedef {{ content: string, trans: string, next: string }} LyricLine
+ */
+
+/**
+ * find index of the last line whose timestamp is not greater than `time`
+ * @param {Types.LyricObjectItem['lyrics']} lyrics
+ * @param {number} time in seconds
+ */
+function findLine(lyrics, time) {
+    // do not loop from 0 every time, unless the process was dragged backward
+    let start = current === -1 || time < lyrics[current].timestamp ? 0 : current;
+    for (let i = start; i < lyrics.length; i++) {
+        if (time < lyrics[i].timestamp) {
+            return i - 1;
+        }
+    }
+    return lyrics.length - 1;
+}
+
+/**
+ * send current line to main process, for desktop lyric window and MPRIS
+ */
+function sendLine() {
+    const lyric = _store.getters.lyricToShow;
+    const lyrics = (lyric && lyric.lyrics) || [];
+    const line = lyrics[current];
+    const next = lyrics[current + 1];
+    /** @type {LyricLine} */
+    const payload = {
+        content: line ? line.content : '',
+        trans: (line && line.trans) || '',
+        next: next ? next.content : ''
+    };
+    encm.send(TAG, 'line', payload);
+}
+
+/**
+ * @param {import('@/store').Store} store
+ */
+export function injectStore(store) {
+    _store = store;
+    store.watch((_, getters) => getters.lyricToShow, () => {
+        current = -1;
+        sendLine();
+    });
+}
+
+/**
+ * @param {HTMLAudioElement} audioEl
+ */
+export function bindAudioElement(audioEl) {
+    audioEl.addEventListener('timeupdate', () => {
+        const lyric = _store.getters.lyricToShow;
+        if (!lyric || !lyric.lyrics || lyric.lyrics.length === 0) return;
+        const index = findLine(lyric.lyrics, audioEl.currentTime);
+        if (index === current) return;
+        current = index;
+        sendLine();
+    });
+}
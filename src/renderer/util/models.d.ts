@@ -44,6 +44,8 @@ namespace Models {
         copyright: any;
         privilege: EApi.Privilege;
         source?: any;
+        /** absolute path of local file, only exists for tracks in local library */
+        localPath?: string;
     }
 
     export class PlayList {
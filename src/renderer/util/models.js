@@ -54,6 +54,9 @@ export class Track {
         this.privilege = o.privilege;
         /** may contain djradio programs */
         this.source = o.source || a.source;
+        if (o.localPath) {
+            this.localPath = o.localPath;
+        }
     }
 }
 
@@ -72,6 +75,8 @@ export class PlayList {
         this.coverImgUrl = o.coverImgUrl;
         this.createTime = o.createTime;
         this.subscribed = o.subscribed;
+        /** `10` for private playlist */
+        this.privacy = o.privacy || 0;
         this.subscribedCount = o.subscribedCount;
         this.commentCount = o.commentCount;
         this.trackIds = o.trackIds || [];
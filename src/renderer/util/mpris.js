@@ -3,6 +3,7 @@ import debounce from 'lodash/debounce';
 import { EventEmitter } from 'eventemitter3';
 
 import { encm } from '@/util/globals';
+import { getSongDetail, getPlaylistDetail } from '@/api/typed';
 
 import {
     SET_COVER_IMG_SRC,
@@ -10,9 +11,29 @@ import {
     RESTORE_PLAYLIST,
     SET_AUDIO_VOLUME,
     SET_AUDIO_PAUSED,
+    SET_PLAYBACK_RATE,
     SET_LOOP_MODE_LIST,
     SET_LOOP_MODE_SINGLE,
-    SET_LOOP_MODE_RANDOM
+    SET_LOOP_MODE_RANDOM,
+    SET_PLAY_LIST,
+    SET_PLAYLIST_INDEX,
+    CLEAR_PLAY_LIST,
+    INSERT_TRACK_INTO_PLAYLIST,
+    REMOVE_TRACK_FROM_PLAYLIST,
+    ACTIVATE_RADIO,
+    RESTORE_RADIO,
+    CLEAR_RADIO,
+    APPEND_RADIO,
+    REMOVE_RADIO,
+    SET_USER_PLAYLISTS,
+    UPDATE_USER_PLAYLIST,
+    SUBSCRIBE_PLAYLIST,
+    UNSUBSCRIBE_PLAYLIST,
+    CREATE_PLAYLIST,
+    DELETE_PLAYLIST,
+    SORT_USER_PLAYLISTS,
+    SET_SLEEP_TIMER,
+    SET_SLEEP_TIMER_REMAINING
 } from '@/store/mutation-types';
 import { LOOP_MODE } from '@/store/modules/playlist';
 
@@ -70,6 +91,101 @@ function trimMetadata(track, picUrl) {
     };
 }
 
+/**
+ * send whole play queue, radio queue could not be edited
+ * @param {import('@/store').State} state
+ */
+function sendTrackList(state) {
+    const radioMode = state.ui.radioMode === true;
+    const queue = radioMode ? state.radio : state.playlist;
+    ipcSend('tracklist', queue.list.map(t => trimMetadata(t)), !radioMode);
+}
+
+/**
+ * send user's created and subscribed playlists
+ * @param {import('@/store').State} state
+ */
+function sendPlaylists(state) {
+    ipcSend('playlists', state.user.playlist.map(p => ({
+        id: p.id,
+        name: p.name,
+        icon: p.coverImgUrl
+    })));
+}
+
+/**
+ * active playlist is the one current track comes from
+ * @param {Models.Track} track
+ */
+function sendActivePlaylist(track) {
+    const source = track && track.source;
+    ipcSend('activeplaylist', source && source.name === 'list' ? source.id : null);
+}
+
+/**
+ * play user playlist activated by MPRIS client
+ * @param {import('@/store').Store} store
+ * @param {number} id
+ */
+async function activatePlaylist(store, id) {
+    const playlist = await getPlaylistDetail(id);
+    if (!playlist) return;
+    const tracks = await getSongDetail(playlist.trackIds.map(t => t.id));
+    if (tracks.length === 0) return;
+    const source = { name: 'list', id };
+    const { settings, playlist: queue } = store.state;
+    if (settings.autoReplacePlaylist || queue.list.length === 0) {
+        store.dispatch('playPlaylist', { tracks, source });
+        return;
+    }
+    // insert after current track, like "play next"
+    if (store.state.ui.radioMode === true) {
+        await store.dispatch('activateRadio', false);
+    }
+    const index = queue.index + 1;
+    await store.dispatch('insertTrackIntoPlaylist', { tracks, source, index });
+    store.dispatch('playTrackIndex', index);
+}
+
+/**
+ * find track by uri of `AddTrack`,
+ * supports song url of music.163.com and file in local library
+ * @param {import('@/store').State} state
+ * @param {string} uri
+ * @returns {Promise<Models.Track | undefined>}
+ */
+async function resolveTrackUri(state, uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (e) {
+        return;
+    }
+    if (url.protocol === 'file:') {
+        const path = decodeURIComponent(url.pathname);
+        return state.local.tracks.find(t => t.localPath === path);
+    }
+    if (url.hostname === 'music.163.com') {
+        // both `/song?id=1` and `/#/song?id=1`
+        const match = /\/song\?(?:.*&)?id=(\d+)/.exec(url.pathname + url.search + url.hash.slice(1));
+        if (!match) return;
+        const [track] = await getSongDetail([Number(match[1])]);
+        return track;
+    }
+}
+
+/**
+ * @param {import('@/store').State} state
+ */
+function sendSleepTimer(state) {
+    const timer = state.ui.sleepTimer;
+    ipcSend('sleep', timer && {
+        type: timer.type,
+        tracks: timer.tracks,
+        remaining: state.ui.sleepTimerRemaining
+    });
+}
+
 function sendLoopMode(mode) {
     let shuffle = false;
     let loop = 'Playlist';
@@ -105,11 +221,15 @@ function subscribeHandler(mutation, state) {
                 ipcSend('metadata', null);
                 ipcSend('stop');
             }
+            sendActivePlaylist(track);
             sendLoopMode(queue.loopMode);
             break;
         case SET_AUDIO_PAUSED:
             ipcSend(mutation.payload === true ? 'pause' : 'play');
             break;
+        case SET_PLAYBACK_RATE:
+            ipcSend('rate', mutation.payload);
+            break;
         // since mpris is injected after Vue instance creation, it may not be
         // able to receive `RESTORE_UI_STATE` mutation. keep it here anyway.
         case RESTORE_UI_STATE:
@@ -129,6 +249,33 @@ function subscribeHandler(mutation, state) {
         case SET_LOOP_MODE_RANDOM:
             sendLoopMode(queue.loopMode);
             break;
+        case SET_SLEEP_TIMER:
+        case SET_SLEEP_TIMER_REMAINING:
+            sendSleepTimer(state);
+            break;
+    }
+    switch (mutation.type) {
+        case SET_PLAY_LIST:
+        case CLEAR_PLAY_LIST:
+        case RESTORE_PLAYLIST:
+        case INSERT_TRACK_INTO_PLAYLIST:
+        case REMOVE_TRACK_FROM_PLAYLIST:
+        case ACTIVATE_RADIO:
+        case RESTORE_RADIO:
+        case CLEAR_RADIO:
+        case APPEND_RADIO:
+        case REMOVE_RADIO:
+            sendTrackList(state);
+            break;
+        case SET_USER_PLAYLISTS:
+        case UPDATE_USER_PLAYLIST:
+        case SUBSCRIBE_PLAYLIST:
+        case UNSUBSCRIBE_PLAYLIST:
+        case CREATE_PLAYLIST:
+        case DELETE_PLAYLIST:
+        case SORT_USER_PLAYLISTS:
+            sendPlaylists(state);
+            break;
     }
 }
 
@@ -140,6 +287,9 @@ export function injectStore(store) {
     ipcSend('stop');
     // send volume once on inject
     ipcSend('volume', store.state.ui.audioVolume);
+    ipcSend('rate', store.state.ui.playbackRate);
+    sendTrackList(store.state);
+    sendPlaylists(store.state);
     store.subscribe(subscribeHandler);
     MPRISEmitter.on('play', () => store.dispatch('playAudio'));
     MPRISEmitter.on('stop', () => store.dispatch('pauseAudio'));
@@ -152,6 +302,48 @@ export function injectStore(store) {
         }
     });
     MPRISEmitter.on('prev', () => store.dispatch('playPreviousTrack'));
+    MPRISEmitter.on('goto', id => {
+        const index = store.getters.queue.list.findIndex(t => t.id === id);
+        if (index >= 0) {
+            store.dispatch('playTrackIndex', index);
+        }
+    });
+    MPRISEmitter.on('removetrack', id => {
+        if (store.state.ui.radioMode === true) {
+            store.dispatch('removeRadio', { id });
+            return;
+        }
+        const start = store.state.playlist.list.findIndex(t => t.id === id);
+        if (start >= 0) {
+            store.dispatch('removeTrackFromPlaylist', { start, count: 1 });
+        }
+    });
+    MPRISEmitter.on('activateplaylist', id => activatePlaylist(store, id));
+    MPRISEmitter.on('rate', rate => store.dispatch('setPlaybackRate', rate));
+    MPRISEmitter.on('sleep', timer => {
+        if (timer) store.dispatch('setSleepTimer', timer);
+        else store.dispatch('cancelSleepTimer');
+    });
+    MPRISEmitter.on('addtrack', async (uri, afterId, setAsCurrent) => {
+        if (store.state.ui.radioMode === true) return;
+        const track = await resolveTrackUri(store.state, uri);
+        if (!track) {
+            d('track not found: %s', uri);
+            return;
+        }
+        const { list } = store.state.playlist;
+        // `afterId` is `null` for `NoTrack`, which means the beginning
+        const start = afterId === null ? 0 : list.findIndex(t => t.id === afterId) + 1;
+        if (afterId !== null && start === 0) return;
+        const wasEmpty = list.length === 0;
+        await store.dispatch('insertTrackIntoPlaylist', { tracks: [track], index: start });
+        if (setAsCurrent) {
+            store.dispatch('playTrackIndex', start);
+        } else if (wasEmpty) {
+            store.commit(SET_PLAYLIST_INDEX, 0);
+            store.dispatch('updateUiTrack');
+        }
+    });
     MPRISEmitter.on('volume', volume => {
         let mute;
         if (store.state.ui.audioMute && volume > 0) {
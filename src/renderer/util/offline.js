@@ -0,0 +1,16 @@
+import Api from '@/api/ipc';
+
+/**
+ * find tracks which could be played in offline mode,
+ * i.e. cached, downloaded or in local library
+ * @param {Models.Track[]} tracks
+ * @returns {Promise<Set<number>>} ids of playable tracks
+ */
+export async function getOfflinePlayableIds(tracks) {
+    const remote = tracks.filter(t => !t.localPath).map(t => t.id);
+    const available = await Api.getAvailableTrackIds(remote);
+    return new Set([
+        ...tracks.filter(t => t.localPath).map(t => t.id),
+        ...available
+    ]);
+}
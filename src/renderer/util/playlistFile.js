@@ -0,0 +1,105 @@
+import Api from '@/api/ipc';
+import { encm } from '@/util/globals';
+import { getSongDetail } from '@/api/typed';
+import { Track } from '@/util/models';
+
+const Filters = [
+    { name: 'M3U8 播放列表', extensions: ['m3u8', 'm3u'] },
+    { name: 'XSPF 播放列表', extensions: ['xspf'] },
+    { name: 'CSV 表格', extensions: ['csv'] }
+];
+
+/** tracks with duration differ more than this are not the same one */
+const DurationTolerance = 5000;
+
+/**
+ * ask for file path and export tracks to it
+ * @param {string} name
+ * @param {Models.Track[]} tracks
+ * @returns {Promise<Types.PlaylistExportRes | null>} `null` if canceled
+ */
+export async function exportPlaylistFile(name, tracks) {
+    const { canceled, filePath } = await encm.invoke('showSaveDialog', {
+        title: '导出歌单',
+        defaultPath: `${name.replace(/[\\/:*?"<>|]/g, '_')}.m3u8`,
+        filters: Filters
+    });
+    if (canceled || !filePath) return null;
+    return Api.exportPlaylist(filePath, name, tracks);
+}
+
+/**
+ * @returns {Promise<string | null>} `null` if canceled
+ */
+export async function choosePlaylistFile() {
+    const { canceled, filePaths } = await encm.invoke('showOpenDialog', {
+        title: '导入歌单',
+        properties: ['openFile'],
+        filters: [{ name: '播放列表', extensions: ['m3u8', 'm3u', 'xspf', 'csv'] }, ...Filters]
+    });
+    if (canceled || filePaths.length === 0) return null;
+    return filePaths[0];
+}
+
+/**
+ * @param {string} s
+ */
+function normalize(s) {
+    return s.normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * @param {Types.PlaylistFileEntry} entry
+ * @param {Models.Track} track
+ */
+function isSameTrack(entry, track) {
+    if (normalize(entry.title) !== normalize(track.name)) return false;
+    if (entry.duration && track.duration && Math.abs(entry.duration - track.duration) > DurationTolerance) {
+        return false;
+    }
+    if (!entry.artist) return true;
+    const artist = normalize(entry.artist);
+    return track.artists.some(ar => {
+        const name = normalize(ar.name);
+        return name && (artist.includes(name) || name.includes(artist));
+    });
+}
+
+/**
+ * @typedef {object} EntryMatch
+ * @property {Types.PlaylistFileEntry} entry
+ * @property {Models.Track[]} candidates search results
+ * @property {Models.Track | null} track best match
+ * @property {boolean} confident `track` needs review by user if not confident
+ */
+
+/**
+ * find NetEase track of playlist file entry, by song id or search
+ * @param {Types.PlaylistFileEntry} entry
+ * @returns {Promise<EntryMatch>}
+ */
+export async function matchEntry(entry) {
+    if (entry.id > 0) {
+        const [track] = await getSongDetail([entry.id]);
+        if (track) {
+            return { entry, candidates: [track], track, confident: true };
+        }
+    }
+    const keyword = `${entry.title} ${entry.artist}`.trim();
+    if (!keyword) {
+        return { entry, candidates: [], track: null, confident: false };
+    }
+    /** @type {Types.SearchRes} */
+    const resp = await Api.search(keyword, 'song', 5);
+    const songs = (resp.code === 200 && resp.result?.songs) || [];
+    const candidates = songs.map(s => new Track(s));
+    const same = candidates.filter(t => isSameTrack(entry, t));
+    // without artist, tracks with the same name could hardly be told apart
+    const confident = entry.artist ? same.length > 0 : same.length === 1;
+    return {
+        entry,
+        candidates,
+        track: same[0] || candidates[0] || null,
+        confident
+    };
+}
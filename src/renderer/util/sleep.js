@@ -0,0 +1,95 @@
+import { SET_SLEEP_TIMER_REMAINING } from '@/store/mutation-types';
+
+/** volume fades out in the last seconds before sleep timer pauses playback */
+const FadeOutDuration = 30;
+
+/** @type {import('@/store').Store} */
+let _store;
+/** @type {HTMLAudioElement} */
+let _audio;
+let ticker = null;
+let fading = false;
+
+function baseVolume() {
+    const { audioMute, audioVolume } = _store.state.ui;
+    return audioMute === true ? 0 : audioVolume / 100;
+}
+
+/**
+ * seconds before sleep timer pauses playback
+ * @param {import('@/store/modules/ui').SleepTimer} timer
+ */
+function remainingSeconds(timer) {
+    if (timer.type === 'time') {
+        return Math.max((timer.endTime - Date.now()) / 1000, 0);
+    }
+    const { duration, currentTime, playbackRate } = _audio;
+    let seconds = Number.isFinite(duration) ? (duration - currentTime) / playbackRate : 0;
+    let upcoming = _store.getters.upcomingTracks;
+    if (timer.type === 'track') {
+        upcoming = upcoming.slice(0, timer.tracks - 1);
+    }
+    for (const track of upcoming) {
+        seconds += (track.duration || 0) / 1000;
+    }
+    return Math.max(seconds, 0);
+}
+
+function restoreVolume() {
+    if (!fading) return;
+    fading = false;
+    _audio.volume = baseVolume();
+}
+
+function tick() {
+    const timer = _store.state.ui.sleepTimer;
+    const remaining = remainingSeconds(timer);
+    const rounded = Math.ceil(remaining);
+    if (rounded !== _store.state.ui.sleepTimerRemaining) {
+        _store.commit(SET_SLEEP_TIMER_REMAINING, rounded);
+    }
+    if (timer.type === 'time' && remaining <= 0) {
+        // playback is paused before volume restores, so it won't blast
+        _store.dispatch('pauseAudio');
+        _store.dispatch('cancelSleepTimer');
+        return;
+    }
+    // for track modes, playback is paused by player when the last track ends
+    const willPause = timer.type === 'time' || _store.getters.sleepAfterTrack;
+    if (_store.state.settings.sleepTimerFadeOut && willPause && !_audio.paused && remaining < FadeOutDuration) {
+        fading = true;
+        _audio.volume = baseVolume() * remaining / FadeOutDuration;
+    } else {
+        restoreVolume();
+    }
+}
+
+/**
+ * @param {?import('@/store/modules/ui').SleepTimer} timer
+ */
+function updateTicker(timer) {
+    if (timer && _audio) {
+        if (ticker === null) ticker = setInterval(tick, 250);
+        tick();
+        return;
+    }
+    clearInterval(ticker);
+    ticker = null;
+    if (_audio) restoreVolume();
+}
+
+/**
+ * @param {import('@/store').Store} store
+ */
+export function injectStore(store) {
+    _store = store;
+    store.watch(state => state.ui.sleepTimer, updateTicker);
+}
+
+/**
+ * @param {HTMLAudioElement} audioEl
+ */
+export function bindAudioElement(audioEl) {
+    _audio = audioEl;
+    updateTicker(_store.state.ui.sleepTimer);
+}
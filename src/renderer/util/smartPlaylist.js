@@ -0,0 +1,184 @@
+import Api from '@/api/ipc';
+import * as DbTrack from '@/api/database/track';
+import { trackTable } from '@/api/database/db';
+import { Track } from '@/util/models';
+
+/**
+ * @typedef {{ type: 'artist', names: string[] }} ArtistRule
+ * @typedef {{ type: 'year', from: number, to: number }} YearRule `0` for unbounded
+ * @typedef {{ type: 'liked' }} LikedRule
+ * @typedef {{ type: 'playCount', min: number }} PlayCountRule played more than `min` times
+ * @typedef {{ type: 'duration', max: number }} DurationRule shorter than `max` minutes
+ * @typedef {{ type: 'downloaded' }} DownloadedRule
+ * @typedef {ArtistRule | YearRule | LikedRule | PlayCountRule | DurationRule | DownloadedRule} SmartRule
+ *
+ * @typedef {object} SmartPlaylist
+ * @property {number} [id]
+ * @property {string} name
+ * @property {'all' | 'any'} match tracks should match all rules or any of them
+ * @property {SmartRule[]} rules
+ */
+
+/** @type {{ type: SmartRule['type'], label: string, create: () => SmartRule }[]} */
+export const SmartRuleTypes = [
+    { type: 'artist', label: '歌手', create: () => ({ type: 'artist', names: [] }) },
+    { type: 'year', label: '专辑发行年份', create: () => ({ type: 'year', from: 0, to: 0 }) },
+    { type: 'liked', label: '我喜欢的音乐', create: () => ({ type: 'liked' }) },
+    { type: 'playCount', label: '播放次数', create: () => ({ type: 'playCount', min: 10 }) },
+    { type: 'duration', label: '时长', create: () => ({ type: 'duration', max: 5 }) },
+    { type: 'downloaded', label: '已下载', create: () => ({ type: 'downloaded' }) }
+];
+
+/**
+ * @param {SmartRule} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    switch (rule.type) {
+        case 'artist':
+            return `歌手是 ${rule.names.join('、') || '(未填写)'}`;
+        case 'year':
+            if (rule.from && rule.to) return `发行于 ${rule.from} 至 ${rule.to} 年`;
+            if (rule.from) return `发行于 ${rule.from} 年及以后`;
+            if (rule.to) return `发行于 ${rule.to} 年及以前`;
+            return '任意发行年份';
+        case 'liked':
+            return '在我喜欢的音乐中';
+        case 'playCount':
+            return `播放超过 ${rule.min} 次`;
+        case 'duration':
+            return `时长短于 ${rule.max} 分钟`;
+        case 'downloaded':
+            return '已下载';
+    }
+    return '';
+}
+
+/**
+ * @param {SmartPlaylist} list
+ */
+export function describeSmartPlaylist(list) {
+    if (list.rules.length === 0) return '所有听过或浏览过的歌曲';
+    const sep = list.match === 'all' ? '，并且' : '，或者';
+    return list.rules.map(describeRule).join(sep);
+}
+
+/** play record of the user is fetched at most once in this period */
+const PlayCountTTL = 10 * 60 * 1000;
+
+/** @type {{ uid: number, time: number, counts: Map<number, number> }} */
+let playCountCache = null;
+
+/**
+ * play count of tracks in user's play record on NetEase,
+ * which contains at most the top 100 tracks
+ * @param {number} uid
+ * @returns {Promise<Map<number, number>>}
+ */
+async function getPlayCounts(uid) {
+    if (playCountCache && playCountCache.uid === uid && Date.now() - playCountCache.time < PlayCountTTL) {
+        return playCountCache.counts;
+    }
+    /** @type {Types.UserPlayRecordRes} */
+    const resp = await Api.getUserPlayRecord(uid, 0);
+    if (resp.code !== 200) return new Map();
+    const counts = new Map((resp.allData || []).map(d => [d.song.id, d.playCount]));
+    playCountCache = { uid, time: Date.now(), counts };
+    return counts;
+}
+
+/**
+ * @typedef {object} RuleContext
+ * @property {Set<number>} liked
+ * @property {Map<number, number>} playCounts
+ * @property {Set<number>} downloaded
+ */
+
+/**
+ * @param {SmartRule} rule
+ * @param {Types.TrackDetail} raw
+ * @param {Models.Track} track
+ * @param {RuleContext} ctx
+ * @returns {boolean}
+ */
+function testRule(rule, raw, track, ctx) {
+    switch (rule.type) {
+        case 'artist': {
+            const names = rule.names.map(n => n.toLowerCase());
+            return track.artists.some(ar => ar.name && names.includes(ar.name.toLowerCase()));
+        }
+        case 'year': {
+            if (!raw.publishTime) return false;
+            const year = new Date(raw.publishTime).getFullYear();
+            return (!rule.from || year >= rule.from) && (!rule.to || year <= rule.to);
+        }
+        case 'liked':
+            return ctx.liked.has(track.id);
+        case 'playCount':
+            return (ctx.playCounts.get(track.id) || 0) > rule.min;
+        case 'duration':
+            return track.duration > 0 && track.duration < rule.max * 60 * 1000;
+        case 'downloaded':
+            return ctx.downloaded.has(track.id);
+    }
+    return false;
+}
+
+/**
+ * find tracks in local track database matching rules of smart playlist
+ * @param {SmartPlaylist} list
+ * @param {{ userId: number, favTrackIds: number[] }} user
+ * @returns {Promise<Models.Track[]>}
+ */
+export async function evaluateSmartPlaylist(list, { userId, favTrackIds }) {
+    const rows = await DbTrack.getAll();
+    const types = new Set(list.rules.map(r => r.type));
+    /** @type {RuleContext} */
+    const ctx = {
+        liked: new Set(favTrackIds),
+        playCounts: types.has('playCount') && userId ? await getPlayCounts(userId) : new Map(),
+        downloaded: types.has('downloaded') ? new Set(await Api.getDownloadedTrackIds(rows.map(r => r.id))) : new Set()
+    };
+    const source = { name: 'smart', id: list.id };
+    const result = [];
+    for (const raw of rows) {
+        const track = new Track(raw, { source });
+        const test = rule => testRule(rule, raw, track, ctx);
+        const matched = list.match === 'any' && list.rules.length > 0
+            ? list.rules.some(test)
+            : list.rules.every(test);
+        if (matched) result.push(track);
+    }
+    return result;
+}
+
+/**
+ * listen to tracks added or updated in local track database
+ * @param {() => void} callback called at most once a second
+ * @returns {() => void} function to remove the listener
+ */
+export function onTrackTableChange(callback) {
+    let timeout = null;
+    const schedule = () => {
+        if (timeout === null) {
+            timeout = setTimeout(() => {
+                timeout = null;
+                callback();
+            }, 1000);
+        }
+    };
+    trackTable.hook('creating', schedule);
+    trackTable.hook('updating', schedule);
+    return () => {
+        clearTimeout(timeout);
+        trackTable.hook('creating').unsubscribe(schedule);
+        trackTable.hook('updating').unsubscribe(schedule);
+    };
+}
+
+/**
+ * @param {import('@/store').Store} store
+ */
+export function injectStore(store) {
+    store.dispatch('loadSmartPlaylists');
+}
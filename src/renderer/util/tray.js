@@ -9,7 +9,9 @@ import {
     RESTORE_PLAYLIST,
     RESTORE_UI_STATE,
     UPDATE_PLAYING_URL,
-    SET_USER_FAVOR_TRACKS
+    SET_USER_FAVOR_TRACKS,
+    SET_SLEEP_TIMER,
+    SET_SLEEP_TIMER_REMAINING
 } from '@/store/mutation-types';
 
 /**
@@ -48,7 +50,7 @@ function sendTrackMeta(state, track) {
             name: track.name,
             artist: track.artistName,
             album: track.album.name,
-            canFavorite: state.user.loginValid,
+            canFavorite: state.user.loginValid && !track.localPath,
             favorite: state.user.favTrackIds.includes(track.id),
             canDislike: state.ui.radioMode
         };
@@ -63,6 +65,32 @@ function sendMute(state) {
     send('mute', state.ui.audioMute === true ? true : state.ui.audioVolume === 0);
 }
 
+/**
+ * tray menu only shows minutes, so it's sent once a minute
+ * @typedef {{ type: string, tracks?: number, minutes: number }} TraySleepTimer
+ * @type {TraySleepTimer}
+ */
+let lastSleepTimer = null;
+
+/**
+ * @param {State} state
+ * @param {boolean} [force] send even if nothing changed
+ */
+function sendSleepTimer(state, force = false) {
+    const timer = state.ui.sleepTimer;
+    let payload = null;
+    if (timer) {
+        payload = {
+            type: timer.type,
+            tracks: timer.tracks,
+            minutes: Math.ceil(state.ui.sleepTimerRemaining / 60)
+        };
+    }
+    if (!force && JSON.stringify(payload) === JSON.stringify(lastSleepTimer)) return;
+    lastSleepTimer = payload;
+    send('sleep', payload);
+}
+
 /**
  * Vuex mutation subscribe handler
  * @param {import('vuex').MutationPayload} mutation
@@ -92,6 +120,10 @@ function subscribeHandler(mutation, state) {
         case RESTORE_UI_STATE:
             sendMute(state);
             break;
+        case SET_SLEEP_TIMER:
+        case SET_SLEEP_TIMER_REMAINING:
+            sendSleepTimer(state);
+            break;
     }
 }
 
@@ -136,8 +168,13 @@ export function injectStore(store) {
             store.dispatch('setAudioVolume', { volume: 50, mute: false });
         }
     });
+    TrayEmitter.on('sleep', timer => {
+        if (timer) store.dispatch('setSleepTimer', timer);
+        else store.dispatch('cancelSleepTimer');
+    });
     TrayEmitter.on('get', () => {
         sendTrackMeta(store.state, store.getters.playing);
         sendMute(store.state);
+        sendSleepTimer(store.state, true);
     });
 }